@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const intersectSelectors = require('./index');
+
+const usage = `Usage: intersect-selectors [options] [selectors...]
+
+Prints the intersection of the selectors. When no selectors are given as
+arguments or through --file, they are read from stdin, one per line.
+
+Options:
+  -f, --file <path>  Read the selectors of the style rules in a CSS file
+  -j, --json         Print the branches, the specificity and whether the
+                     intersection is empty as JSON
+  -e, --exit-code    Exit with 1 when the intersection is empty
+  -h, --help         Print this message
+`;
+
+/**
+ * @type {string[]} At-rules whose blocks contain style rules that are looked
+ *   into when reading a CSS file
+ */
+const groupingAtRules = ['media', 'supports', 'layer', 'container', 'document'];
+
+/**
+ * Finds the selectors of the style rules in a stylesheet. Style rules inside
+ * grouping at-rules such as @media are included, while the blocks of other
+ * at-rules such as @keyframes are skipped
+ *
+ * @param {string} css The stylesheet
+ * @returns {string[]} The selector of each style rule
+ */
+function extractSelectors(css) {
+  const selectors = [];
+  // Whether each open block is one that contains style rules
+  const blocks = [];
+  let prelude = '';
+  let depthSkipped = 0;
+
+  for (let index = 0; index < css.length; index++) {
+    const character = css[index];
+
+    if (character === '/' && css[index + 1] === '*') {
+      const end = css.indexOf('*/', index + 2);
+      index = end === -1 ? css.length : end + 1;
+    } else if (character === '"' || character === "'") {
+      let end = index + 1;
+      while (end < css.length && css[end] !== character) {
+        end += css[end] === '\\' ? 2 : 1;
+      }
+      prelude += css.slice(index, end + 1);
+      index = end;
+    } else if (character === '\\') {
+      prelude += css.slice(index, index + 2);
+      index++;
+    } else if (character === '{') {
+      const trimmedPrelude = prelude.trim();
+      prelude = '';
+
+      if (depthSkipped > 0 || (blocks.length > 0 && !blocks.slice(-1)[0])) {
+        depthSkipped++;
+      } else if (trimmedPrelude.startsWith('@')) {
+        const name = trimmedPrelude
+          .slice(1)
+          .split(/[\s(;]/)[0]
+          .toLowerCase();
+        blocks.push(groupingAtRules.includes(name));
+      } else {
+        selectors.push(trimmedPrelude);
+        blocks.push(false);
+      }
+    } else if (character === '}') {
+      prelude = '';
+      if (depthSkipped > 0) {
+        depthSkipped--;
+      } else {
+        blocks.pop();
+      }
+    } else if (character === ';') {
+      prelude = '';
+    } else {
+      prelude += character;
+    }
+  }
+
+  return selectors.filter((selector) => selector !== '');
+}
+
+/**
+ * Parses the command line arguments
+ *
+ * @param {string[]} args The arguments after the script name
+ * @returns {{
+ *   selectors: string[];
+ *   files: string[];
+ *   json: boolean;
+ *   exitCode: boolean;
+ *   help: boolean;
+ * }}
+ *   The options given
+ */
+function parseArguments(args) {
+  const options = {
+    selectors: [],
+    files: [],
+    json: false,
+    exitCode: false,
+    help: false
+  };
+
+  for (let index = 0; index < args.length; index++) {
+    const arg = args[index];
+
+    if (arg === '--') {
+      options.selectors.push(...args.slice(index + 1));
+      break;
+    } else if (arg === '-f' || arg === '--file') {
+      if (index + 1 >= args.length) {
+        throw new Error(`Missing path after ${arg}`);
+      }
+      options.files.push(args[++index]);
+    } else if (arg.startsWith('--file=')) {
+      options.files.push(arg.slice('--file='.length));
+    } else if (arg === '-j' || arg === '--json') {
+      options.json = true;
+    } else if (arg === '-e' || arg === '--exit-code') {
+      options.exitCode = true;
+    } else if (arg === '-h' || arg === '--help') {
+      options.help = true;
+    } else if (arg.startsWith('-') && arg.length > 1) {
+      throw new Error(`Unknown option ${arg}`);
+    } else {
+      options.selectors.push(arg);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Runs the command line tool
+ *
+ * @param {string[]} args The arguments after the script name
+ * @returns {number} The exit code
+ */
+function main(args) {
+  let options;
+  try {
+    options = parseArguments(args);
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${usage}`);
+    return 2;
+  }
+
+  if (options.help) {
+    process.stdout.write(usage);
+    return 0;
+  }
+
+  const selectors = [...options.selectors];
+  try {
+    options.files.forEach((file) => {
+      selectors.push(...extractSelectors(fs.readFileSync(file, 'utf8')));
+    });
+
+    if (
+      selectors.length === 0 &&
+      options.files.length === 0 &&
+      !process.stdin.isTTY
+    ) {
+      selectors.push(
+        ...fs
+          .readFileSync(0, 'utf8')
+          .split(/\r?\n/)
+          .map((line) => line.trim())
+          .filter((line) => line !== '')
+      );
+    }
+  } catch (error) {
+    process.stderr.write(`${error.message}\n`);
+    return 2;
+  }
+
+  if (selectors.length === 0) {
+    process.stderr.write(`No selectors given\n\n${usage}`);
+    return 2;
+  }
+
+  let ast;
+  try {
+    ast = intersectSelectors.intersectSelectorsToAST(...selectors);
+  } catch (error) {
+    process.stderr.write(`Couldn't parse the selectors: ${error.message}\n`);
+    return 2;
+  }
+  const intersection = intersectSelectors.stringify(ast);
+
+  if (options.json) {
+    process.stdout.write(
+      `${JSON.stringify(
+        {
+          intersection,
+          empty: ast.branches.length === 0,
+          specificity: ast.specificity,
+          branches: ast.branches.map((branch) => ({
+            selector: intersectSelectors.stringify({ branches: [branch] }),
+            specificity: branch.specificity
+          })),
+          inputs: selectors.map((selector, selectorIndex) => ({
+            selector,
+            specificity: ast.inputSpecificities[selectorIndex]
+          }))
+        },
+        null,
+        2
+      )}\n`
+    );
+  } else if (intersection !== '') {
+    process.stdout.write(`${intersection}\n`);
+  }
+
+  return options.exitCode && ast.branches.length === 0 ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
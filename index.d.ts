@@ -1,3 +1,123 @@
+/** The state of a single compound selector */
+export interface SelectorState {
+  /** The tag name of the selector */
+  type?: string;
+  /**
+   * The URI of the namespace of the selector, or its prefix if it isn't
+   * declared. `''` is for no namespace and `'*'` for any
+   */
+  namespace?: string;
+  /**
+   * The pseudo-elements of the selector, more than one for pseudo-elements of
+   * pseudo-elements such as `::part(label)::before`
+   */
+  pseudoElements?: {
+    name: string;
+    argument?: string;
+    /** The pseudo-classes written after the pseudo-element, which apply to it */
+    pseudoClasses: { name: string; argument?: string }[];
+  }[];
+  /** The pseudo-classes that the selector matches */
+  pseudoClasses: { name: string; argument?: string }[];
+  /** The attribute assertions, including classes and ids */
+  attributes: {
+    key: string;
+    operator: '' | '=' | '~=' | '|=' | '^=' | '$=' | '*=';
+    value: string;
+    /** How the value is compared, from the flag or the document language */
+    caseSensitive: boolean;
+    /** The flag given after the value, if any */
+    flag?: 'i' | 's';
+  }[];
+}
+
+/** A group of siblings along with the combinator that comes after it */
+export interface SiblingGroup {
+  /** The states of the siblings, from left to right */
+  states: SelectorState[];
+  /** The combinator between each sibling and the one after it */
+  siblingCombinators: ('+' | '~')[];
+  /**
+   * The combinator that comes after the group, empty for the group with the
+   * subject of the selector
+   */
+  combinator: '' | ' ' | '>';
+}
+
+/** The specificity of a selector as the (id, class, type) counts */
+export type Specificity = [number, number, number];
+
+/** A comma-separated branch of a union */
+export interface SelectorBranch {
+  /** The sibling groups of the branch, from left to right */
+  siblingGroups: SiblingGroup[];
+  /** The specificity of the branch */
+  specificity: Specificity;
+}
+
+/** The structured form of a selector */
+export interface SelectorAST {
+  /** The branches of the union, empty if there is no intersection */
+  branches: SelectorBranch[];
+  /** The specificity of the most specific branch, zero if there are none */
+  specificity: Specificity;
+  /** The specificity of each selector the result was made from */
+  inputSpecificities: Specificity[];
+}
+
+/** Why part of a selector doesn't intersect with part of another one */
+export interface Conflict {
+  /** The indexes of the input selectors involved */
+  selectors: number[];
+  /** The compound selectors that conflict, one for each side of the conflict */
+  compounds: string[];
+  /**
+   * Where the compounds are, counting the sibling groups from the subject and
+   * the siblings from the closest one
+   */
+  position: { depth: number; sibling: number };
+  /** The kind of conflict */
+  kind:
+    | 'namespace'
+    | 'type'
+    | 'pseudo-element'
+    | 'attribute'
+    | 'pseudo-class'
+    | 'opposite-pseudo-classes'
+    | 'combination'
+    | 'structure';
+  /** The parts of the compounds that conflict, e.g. `[lang='en']` */
+  constraints: string[];
+  /** A human-readable explanation */
+  message: string;
+}
+
+/**
+ * An index of selectors to find the ones that can match the same element as a
+ * selector, holding a value for each selector
+ */
+export interface SelectorIndex<Value = string> {
+  /**
+   * Adds a selector with the value to give back for it, the selector itself by
+   * default. Adding a value that is already in the index replaces its selector
+   */
+  add(selector: string, value?: Value): void;
+  /** Removes the selector added with a value, giving whether there was one */
+  remove(value: Value): boolean;
+  /**
+   * Gives the values of the selectors that can match the same element as a
+   * selector, in the order they were added
+   */
+  query(selector: string): Value[];
+  /**
+   * Gives the values of every two selectors that can match the same element,
+   * the one added first first
+   */
+  pairs(): [Value, Value][];
+  /** The number of selectors in the index */
+  readonly size: number;
+}
+
 /**
  * Finds the intersection of multiple selectors.
  *
@@ -6,4 +126,151 @@
  */
 declare const intersectSelectors: (...selectors: string[]) => string;
 
+/**
+ * Checks if every element matched by the first selector is also matched by the
+ * second one.
+ *
+ * @param {string} selector1 The selector that could be a subset
+ * @param {string} selector2 The selector that could be a superset
+ * @returns {boolean | 'unknown'} Whether the first selector is a subset of the
+ *   second one or 'unknown' if the pseudo-classes involved can't be decided
+ */
+export declare const isSubset: (
+  selector1: string,
+  selector2: string
+) => boolean | 'unknown';
+
+/**
+ * Checks if two selectors can ever match the same element, without building
+ * the intersection.
+ *
+ * @param {string} selector1 The first selector
+ * @param {string} selector2 The second selector
+ * @returns {boolean} Whether the selectors intersect or not
+ */
+export declare const doSelectorsIntersect: (
+  selector1: string,
+  selector2: string
+) => boolean;
+
+/**
+ * Finds the intersection of multiple selectors as a structured result.
+ *
+ * @param {...string} selectors A list of selectors to find the intersection of
+ * @returns {SelectorAST} The intersection, with no branches if there is none
+ */
+export declare const intersectSelectorsToAST: (
+  ...selectors: string[]
+) => SelectorAST;
+
+/**
+ * Stringifies a structured result such as the one `intersectSelectorsToAST`
+ * gives.
+ *
+ * @param {SelectorAST} ast The structured result to stringify
+ * @returns {string} The selector, empty if there are no branches
+ */
+export declare const stringify: (ast: SelectorAST) => string;
+
+/**
+ * Finds the union of selectors, dropping the branches that are already matched
+ * by other branches.
+ *
+ * @param {...string} selectors A list of selectors to find the union of
+ * @returns {string} The union of the selectors
+ */
+export declare const unionSelectors: (...selectors: string[]) => string;
+
+/**
+ * Finds the elements that are matched by the first selector but not by the
+ * second one.
+ *
+ * @param {string} selector1 The selector to subtract from
+ * @param {string} selector2 The selector to subtract
+ * @returns {string} The difference, empty if nothing is left
+ */
+export declare const subtractSelectors: (
+  selector1: string,
+  selector2: string
+) => string;
+
+/**
+ * Explains why selectors don't intersect, for every comma-separated part that
+ * doesn't intersect with a part of another selector.
+ *
+ * @param {...string} selectors A list of selectors
+ * @returns {{ intersection: string; conflicts: Conflict[] }} The intersection
+ *   and the conflicts found
+ */
+export declare const explainIntersection: (...selectors: string[]) => {
+  intersection: string;
+  conflicts: Conflict[];
+};
+
+/**
+ * Builds an HTML fragment with an element that matches every one of the
+ * selectors, marked with a `data-witness-target` attribute.
+ *
+ * @param {...string} selectors A list of selectors, or their intersection
+ * @returns {string} The HTML fragment, empty if the selectors don't intersect
+ */
+export declare const generateWitness: (...selectors: string[]) => string;
+
+/**
+ * Sets where parsed selectors are kept so they aren't parsed again, which
+ * helps when the same selectors are intersected many times.
+ *
+ * @param {Map<string, unknown> | null} cache The map to keep parsed selectors
+ *   in, or null to stop caching
+ */
+export declare const setCache: (cache: Map<string, unknown> | null) => void;
+
+/**
+ * Creates an index of selectors to find the ones that can match the same
+ * element as a selector without intersecting it with every one of them.
+ *
+ * @returns {SelectorIndex} The empty index
+ */
+export declare const createSelectorIndex: <
+  Value = string
+>() => SelectorIndex<Value>;
+
+/** The options of `configure` */
+export interface Options {
+  /**
+   * The URI of each namespace prefix that selectors use, like `@namespace`
+   * rules declare, with the default namespace under the empty prefix
+   */
+  namespaces?: Record<string, string> | null;
+  /**
+   * The language of the documents the selectors are for, which decides what is
+   * compared case-insensitively. `'xml'` is the default.
+   */
+  documentLanguage?: 'html' | 'xml' | 'html-quirks';
+}
+
+/** The functions of the module, for selectors read with the same options */
+export interface Configured {
+  (...selectors: string[]): string;
+  isSubset: typeof isSubset;
+  doSelectorsIntersect: typeof doSelectorsIntersect;
+  intersectSelectorsToAST: typeof intersectSelectorsToAST;
+  stringify: typeof stringify;
+  unionSelectors: typeof unionSelectors;
+  subtractSelectors: typeof subtractSelectors;
+  explainIntersection: typeof explainIntersection;
+  generateWitness: typeof generateWitness;
+  createSelectorIndex: typeof createSelectorIndex;
+}
+
+/**
+ * Creates the functions of the module for the given options, which are applied
+ * to every selector they read and write. Namespaces are compared by their URI
+ * and results use the first prefix declared for each one.
+ *
+ * @param {Options} [options] The options
+ * @returns {Configured} The functions
+ */
+export declare const configure: (options?: Options) => Configured;
+
 export default intersectSelectors;
@@ -5,9 +5,13 @@ const parsel = require('parsel-js');
 /**
  * @typedef {Object} SelectorState
  * @property {string} type The tag name of the selector
- * @property {string} [namespace='*'] The namespace of the selector ('*' if not
- *   specified). Default is `'*'`
- * @property {string} pseudoElement The pseudo element of the selector
+ * @property {string} [namespace='*'] The URI of the namespace of the selector,
+ *   or its prefix if the prefix isn't declared (see `configure`). `''` is
+ *   for elements without a namespace and `'*'` for any namespace. Default is
+ *   `'*'`
+ * @property {PseudoElement[]} [pseudoElements] The pseudo-elements of the
+ *   selector, more than one for pseudo-elements of pseudo-elements such as
+ *   `::part(label)::before`
  * @property {{ name: string; argument?: string }[]} pseudoClasses List of
  *   pseudo-classes that the selector matches
  * @property {{
@@ -15,714 +19,599 @@ const parsel = require('parsel-js');
  *   operator: '' | '=' | '~=' | '|=' | '^=' | '$=' | '*=';
  *   value: string;
  *   caseSensitive: boolean;
+ *   flag?: 'i' | 's';
  * }[]} attributes
- *   List of attribute assertions
+ *   List of attribute assertions. The key of an attribute in a namespace starts
+ *   with the first prefix declared for it, such as `xlink|href`, or with `*|`
+ *   for any namespace. `caseSensitive` is how the value is compared, which
+ *   comes from the flag given, if any, or else from the document language
  */
 
 /**
- * Gives an array of combinations with the length with true-false switches
- *
- * @param {number} length The number of true-false switches per combination
- * @returns {(any[] & { length: length })[]} Combinations of true-false switches
+ * @typedef {Object} PseudoElement
+ * @property {string} name The name of the pseudo-element
+ * @property {string} [argument] The argument of the pseudo-element, such as
+ *   the part names of ::part()
+ * @property {{ name: string; argument?: string }[]} pseudoClasses List of
+ *   pseudo-classes written after the pseudo-element, which apply to it, such
+ *   as :hover in `::before:hover`
  */
-function booleanCombinations(length) {
-  let results = [[true], [false]];
 
-  while (results[0].length < length) {
-    results = results.reduce((accumulatorResults, booleanSwitches) => {
-      accumulatorResults.push(booleanSwitches.concat(true));
-      accumulatorResults.push(booleanSwitches.concat(false));
-      return accumulatorResults;
-    }, []);
-  }
+/**
+ * @typedef {Object} SiblingGroup
+ * @property {SelectorState[]} states The states of the siblings, from left to
+ *   right
+ * @property {('+' | '~')[]} siblingCombinators The combinator between each
+ *   sibling and the one after it
+ * @property {'' | ' ' | '>'} combinator The combinator that comes after the
+ *   group, empty for the group with the subject of the selector
+ */
 
-  return results;
+/**
+ * @typedef {Object} SelectorBranch
+ * @property {SiblingGroup[]} siblingGroups The sibling groups of the branch,
+ *   from left to right
+ * @property {Specificity} specificity The specificity of the branch
+ */
+
+/**
+ * @typedef {Object} SelectorAST
+ * @property {SelectorBranch[]} branches The comma-separated branches of the
+ *   union, empty if there is no intersection
+ * @property {Specificity} specificity The specificity of the most specific
+ *   branch, zero if there are none
+ * @property {Specificity[]} inputSpecificities The specificity of each
+ *   selector the result was made from
+ */
+
+/**
+ * @typedef {Object} Context
+ * @property {Map<string, string>} namespaces The URI of each declared namespace
+ *   prefix, with the default namespace under the empty prefix
+ * @property {'html' | 'xml' | 'html-quirks'} documentLanguage The language of
+ *   the documents the selectors are for
+ * @property {string} cacheKey What the parsed selectors are cached under along
+ *   with the selector, so that other options don't reuse them
+ */
+
+/**
+ * Gives every way of picking one item out of each of the given arrays
+ *
+ * @param {any[][]} arrays The arrays to pick items from
+ * @returns {any[][]} Combinations with one item per given array
+ */
+function cartesianProduct(arrays) {
+  return arrays.reduce(
+    (accumulatorCombinations, array) =>
+      accumulatorCombinations.reduce((nextCombinations, combination) => {
+        array.forEach((item) => {
+          nextCombinations.push(combination.concat([item]));
+        });
+        return nextCombinations;
+      }, []),
+    [[]]
+  );
 }
 
 /**
- * Switches the two indexes in the given array
+ * Checks if two attribute assertions on the same key can match the same value.
+ * Only contradictions that are certain are found, e.g. two values for `=` or
+ * two prefixes where neither starts with the other
  *
- * @param {any[]} array The array to switch indexes in
- * @param {[number, number]} indexes The indexes to switch
+ * @param {SelectorState['attributes'][number]} attribute1 The first assertion
+ * @param {SelectorState['attributes'][number]} attribute2 The second assertion
+ * @returns {boolean} Whether the assertions can match the same value or not
  */
-function switchIndexesInArray(array, [index1, index2]) {
-  const first = array[index1];
-  const second = array[index2];
+function intersectsAttributePair(attribute1, attribute2) {
+  const caseSensitive = attribute1.caseSensitive && attribute2.caseSensitive;
+  const compare = (value) => (caseSensitive ? value : value.toLowerCase());
+  const value1 = compare(attribute1.value);
+  const value2 = compare(attribute2.value);
+  const operators = [attribute1.operator, attribute2.operator];
+  const areOperators = (operator1, operator2) =>
+    operators[0] === operator1 && operators[1] === operator2;
+  // Whether one of the strings starts with the other one
+  const arePrefixesCompatible = (prefix1, prefix2) =>
+    prefix1.startsWith(prefix2) || prefix2.startsWith(prefix1);
 
-  array[index1] = second;
-  array[index2] = first;
+  if (attribute1.operator === '=') {
+    return matchesAttributeValue(attribute1.value, {
+      ...attribute2,
+      caseSensitive
+    });
+  } else if (attribute2.operator === '=') {
+    return matchesAttributeValue(attribute2.value, {
+      ...attribute1,
+      caseSensitive
+    });
+  } else if (areOperators('^=', '^=')) {
+    return arePrefixesCompatible(value1, value2);
+  } else if (areOperators('$=', '$=')) {
+    return value1.endsWith(value2) || value2.endsWith(value1);
+  } else if (areOperators('|=', '|=')) {
+    // The value is either the one given or starts with it and a hyphen
+    return (
+      value1 === value2 ||
+      value1.startsWith(`${value2}-`) ||
+      value2.startsWith(`${value1}-`)
+    );
+  } else if (areOperators('|=', '^=')) {
+    return arePrefixesCompatible(`${value1}-`, value2);
+  } else if (areOperators('^=', '|=')) {
+    return arePrefixesCompatible(value1, `${value2}-`);
+  }
 
-  return array;
+  // A value can have any prefix, suffix, substring and words at once
+  return true;
 }
 
 /**
- * Checks if multiple attribute states of the same key can intersect
+ * Checks if multiple attribute states of the same key can intersect, comparing
+ * the assertions of every operator with each other
  *
  * @param {...SelectorState['attributes'][number]} attributeSelectors
  * @returns {SelectorState['attributes'] | false} Either the optimized attribute
  *   states to put in or false if they don't intersect
  */
 function intersectsAttributes(...attributeSelectors) {
-  let resultingAttributes = Array.from(attributeSelectors);
-
-  resultingAttributes = resultingAttributes.filter(
-    (resultingAttribute) => resultingAttribute.operator !== ''
-  );
-
-  // If these attributes just assert existence, e.g. [abc][abc]. return the first one, in our example [abc]
-  if (resultingAttributes.length === 0) {
-    return attributeSelectors[0];
+  // Some assertions match nothing on their own, e.g. [a^=''] or [a~='b c']
+  if (
+    attributeSelectors.find(
+      (attribute) => !matchesAttributeValue(attribute.value, attribute)
+    )
+  ) {
+    return false;
   }
 
-  // Do some validation on the strict equal attribute checks and find out the asserted case-sensitive/insensitive values
-  let sensitiveValue;
-  let insensitiveValue;
-  for (const attributeSelector of attributeSelectors.filter(
-    (attributeSelector) => attributeSelector.operator === '='
-  )) {
-    if (attributeSelector.caseSensitive) {
-      if (sensitiveValue && sensitiveValue !== attributeSelector.value) {
-        return false;
-      }
-      if (
-        insensitiveValue &&
-        attributeSelector.value.toLowerCase() !== insensitiveValue
-      ) {
-        return false;
-      }
-      sensitiveValue = attributeSelector.value;
-    } else {
-      if (
-        sensitiveValue &&
-        attributeSelector.value.toLowerCase() !== sensitiveValue.toLowerCase()
-      ) {
-        return false;
-      }
+  for (let index1 = 0; index1 < attributeSelectors.length; index1++) {
+    for (
+      let index2 = index1 + 1;
+      index2 < attributeSelectors.length;
+      index2++
+    ) {
       if (
-        insensitiveValue &&
-        attributeSelector.value.toLowerCase() !== insensitiveValue
+        !intersectsAttributePair(
+          attributeSelectors[index1],
+          attributeSelectors[index2]
+        )
       ) {
         return false;
       }
-      insensitiveValue = attributeSelector.value.toLowerCase();
     }
   }
 
-  // If sensitive strict assertion exists then remove insensitive strict assertions
-  if (sensitiveValue) {
-    resultingAttributes = resultingAttributes.filter((resultingAttribute) =>
-      resultingAttribute.operator === '='
-        ? resultingAttribute.caseSensitive === true
-        : true
-    );
-  }
+  // Leave out the assertions that others imply, keeping the first of equivalent ones
+  return attributeSelectors.filter(
+    (attribute, attributeIndex) =>
+      !attributeSelectors.find(
+        (otherAttribute, otherAttributeIndex) =>
+          otherAttributeIndex !== attributeIndex &&
+          impliesAttribute([otherAttribute], attribute) &&
+          (otherAttributeIndex < attributeIndex ||
+            !impliesAttribute([attribute], otherAttribute))
+      )
+  );
+}
 
-  /** All the anchoring (start/end) logic into a separate function because it appears twice */
-  function anchoringWork(stringMethod, operator, piping = false) {
-    /**
-     * Compares if two anchorings are valid together
-     *
-     * @param {string} anchoring1 The first anchoring
-     * @param {string} anchoring2 The second anchoring
-     * @returns {boolean} Whether the anchorings are valid together or not
-     */
-    function compareAnchoring(anchoring1, anchoring2) {
-      if (
-        (anchoring1.length > anchoring2.length &&
-          !anchoring1[stringMethod](anchoring2)) ||
-        (anchoring2.length > anchoring1.length &&
-          !anchoring2[stringMethod](anchoring1))
-      ) {
-        return false;
-      }
-      return true;
-    }
+/**
+ * Splits tokens into the comma-separated selectors they make up
+ *
+ * @param {any[]} tokens The tokens to split
+ * @returns {any[][]} The tokens of every comma-separated selector
+ * @throws {Error} When a comma has no selector on one of its sides or a
+ *   selector ends with a combinator
+ */
+function splitTokensByComma(tokens) {
+  const parts = tokens.reduce(
+    (accumulatorParts, part) =>
+      part.type === 'comma'
+        ? [...accumulatorParts, []]
+        : [
+            ...accumulatorParts.slice(0, -1),
+            accumulatorParts.slice(-1)[0].concat(part)
+          ],
+    [[]]
+  );
 
-    /**
-     * Compares if two pipe assertions are valid together
-     *
-     * @param {string} pipe1 The first pipe
-     * @param {string} pipe2 The second pipe
-     * @returns {boolean} Whether the pipes are valid together or not
-     */
-    function comparePipes(pipe1, pipe2) {
-      if (pipe1.replace(/-+$/) !== pipe2.replace(/-+$/)) {
-        return false;
-      }
-      return true;
+  const commas = tokens.filter((token) => token.type === 'comma');
+  for (const [partIndex, part] of parts.entries()) {
+    if (part.length === 0 && commas.length > 0) {
+      const comma = commas[Math.min(partIndex, commas.length - 1)];
+      throw new Error(
+        `Expected a selector ${
+          partIndex < commas.length ? 'before' : 'after'
+        } the comma at index ${comma.pos[0]}`
+      );
     }
 
-    let anchoringSensitive;
-    let anchoringSensitiveIndex = -1;
-    let anchoringInsensitive;
-    let anchoringInsensitiveIndex = -1;
-    let removeIndexAttributes = [];
-    let invalid = false;
-
-    /**
-     * Edits the existing variables if the newer attribute is more specific
-     *
-     * @param {Object} resultingAttribute The attribute to compare with the
-     *   existing variables
-     * @param {number} index The index of the current attribute
-     * @param {boolean} sensitive Whether the attribute is case sensitive or not
-     * @returns {boolean} Whether the variables were edited or not
-     */
-    function remakeAnchoringIndexAndValue({ value }, index, sensitive) {
-      if (
-        value.length >
-        (sensitive ? anchoringSensitive : anchoringInsensitive).length
-      ) {
-        removeIndexAttributes.push(
-          sensitive ? anchoringSensitiveIndex : anchoringInsensitiveIndex
-        );
-        if (sensitive) {
-          anchoringSensitive = value;
-          anchoringSensitiveIndex = index;
-        } else {
-          anchoringInsensitive = value;
-          anchoringInsensitiveIndex = index;
-        }
-        return true;
-      }
-      return false;
+    const lastToken = part.slice(-1)[0];
+    if (lastToken && lastToken.type === 'combinator') {
+      throw new Error(
+        `Expected a selector after the combinator ${lastToken.content.trim()} at index ${
+          lastToken.pos[0]
+        }`
+      );
     }
+  }
+  return parts;
+}
 
-    // Filters out redundant assertions and edits variables to get final ones
-    resultingAttributes = resultingAttributes.filter(
-      (resultingAttribute, resultingAttributeIndex) => {
-        if (resultingAttribute.operator === operator) {
-          if (resultingAttribute.caseSensitive) {
-            if (anchoringInsensitive) {
-              if (
-                !(piping ? comparePipes : compareAnchoring)(
-                  resultingAttribute.value.toLowerCase(),
-                  anchoringInsensitive.toLowerCase()
-                )
-              ) {
-                invalid = true;
-              }
-            }
-            if (anchoringSensitive) {
-              if (
-                !(piping ? comparePipes : compareAnchoring)(
-                  anchoringSensitive,
-                  resultingAttribute.value
-                )
-              ) {
-                invalid = true;
-              } else if (
-                !remakeAnchoringIndexAndValue(
-                  resultingAttribute,
-                  resultingAttributeIndex,
-                  true
-                )
-              ) {
-                return false;
-              }
-            } else {
-              anchoringSensitiveIndex = resultingAttributeIndex;
-              anchoringSensitive = resultingAttribute.value;
-            }
-          } else {
-            if (anchoringSensitive) {
-              if (
-                !(piping ? comparePipes : compareAnchoring)(
-                  resultingAttribute.value.toLowerCase(),
-                  anchoringSensitive.toLowerCase()
-                )
-              ) {
-                invalid = true;
-              }
-            }
-            if (anchoringInsensitive) {
-              if (
-                !(piping ? comparePipes : compareAnchoring)(
-                  resultingAttribute.value.toLowerCase(),
-                  anchoringInsensitive.toLowerCase()
-                )
-              ) {
-                invalid = true;
-              } else if (
-                !remakeAnchoringIndexAndValue(
-                  resultingAttribute,
-                  resultingAttributeIndex,
-                  false
-                )
-              ) {
-                return false;
-              }
-            } else {
-              anchoringInsensitive = resultingAttribute.value;
-              anchoringInsensitiveIndex = resultingAttributeIndex;
-            }
-          }
-        }
-        return true;
-      }
-    );
+/**
+ * @type {RegExp} A CSS escape, which is a backslash followed by up to six hex
+ *   digits and a whitespace, a newline in strings or any other character
+ */
+const escapePattern =
+  /\\(?:([0-9a-fA-F]{1,6})(?:\r\n|[ \t\r\n\f])?|(\r\n|[\r\n\f])|([\s\S])|$)/g;
 
-    // Check if any invalidation occurred or if the anchoring assertions don't match with the equal ones
-    if (invalid) {
-      return false;
-    } else if (
-      anchoringSensitive &&
-      anchoringInsensitive &&
-      !(piping ? comparePipes : compareAnchoring)(
-        anchoringSensitive.toLowerCase(),
-        anchoringInsensitive.toLowerCase()
-      )
-    ) {
-      return false;
-    } else if (sensitiveValue || insensitiveValue) {
-      if (
-        sensitiveValue &&
-        (!sensitiveValue[stringMethod](anchoringSensitive || '') ||
-          !sensitiveValue.toLowerCase()[stringMethod](insensitiveValue || ''))
-      ) {
-        return false;
-      }
-      if (
-        insensitiveValue &&
-        (!insensitiveValue[stringMethod](
-          anchoringSensitive.toLowerCase() || ''
-        ) ||
-          !insensitiveValue[stringMethod](
-            anchoringInsensitive.toLowerCase() || ''
-          ))
-      ) {
-        return false;
-      }
+/**
+ * Decodes a CSS escape
+ *
+ * @param {string} escape The escape, starting with the backslash
+ * @returns {string} The character it stands for, empty for a newline in a
+ *   string
+ */
+function decodeEscape(escape) {
+  const [, hex, newline, character] = new RegExp(escapePattern.source).exec(
+    escape
+  );
 
-      // Remove respective anchoring assertions (unless we have a insensitive value + sensitive anchoring)
-      if (
-        sensitiveValue ||
-        (insensitiveValue && anchoringInsensitive && !anchoringSensitive)
+  if (hex) {
+    const codePoint = parseInt(hex, 16);
+    return codePoint === 0 ||
+      (codePoint >= 0xd800 && codePoint <= 0xdfff) ||
+      codePoint > 0x10ffff
+      ? '\ufffd'
+      : String.fromCodePoint(codePoint);
+  } else if (newline) {
+    return '';
+  }
+  return character === undefined ? '\ufffd' : character;
+}
+
+/**
+ * Escapes an identifier such as a class name so it can be put in a selector,
+ * the way `CSS.escape` does
+ *
+ * @param {string} identifier The identifier
+ * @returns {string} The escaped identifier
+ */
+function escapeIdentifier(identifier) {
+  return [...identifier]
+    .map((character, characterIndex) => {
+      const codePoint = character.codePointAt(0);
+      if (codePoint === 0) {
+        return '\ufffd';
+      } else if (
+        (codePoint >= 0x1 && codePoint <= 0x1f) ||
+        codePoint === 0x7f ||
+        (characterIndex === 0 && /[0-9]/.test(character)) ||
+        (characterIndex === 1 &&
+          /[0-9]/.test(character) &&
+          identifier[0] === '-')
       ) {
-        resultingAttributes = resultingAttributes.filter(
-          (resultingAttribute) => resultingAttribute.operator !== operator
-        );
+        return `\\${codePoint.toString(16)} `;
+      } else if (characterIndex === 0 && identifier === '-') {
+        return '\\-';
+      } else if (codePoint >= 0x80 || /[-_0-9a-zA-Z]/.test(character)) {
+        return character;
       }
+      return `\\${character}`;
+    })
+    .join('');
+}
 
-      // Remove insensitive respective anchoring if we have sensitive more or equal describing
-      if (
-        insensitiveValue &&
-        !sensitiveValue &&
-        anchoringSensitive &&
-        anchoringInsensitive &&
-        anchoringSensitive.length >= anchoringInsensitive.length
+/**
+ * Escapes a namespace prefix, leaving `*` for any namespace and the empty
+ * prefix for no namespace as they are
+ *
+ * @param {string} prefix The prefix
+ * @returns {string} The escaped prefix
+ */
+function escapePrefix(prefix) {
+  return prefix === '*' || prefix === '' ? prefix : escapeIdentifier(prefix);
+}
+
+/**
+ * Puts a string in quotes so it can be put in a selector, with single quotes
+ * unless the string only has single quotes in it
+ *
+ * @param {string} string The string
+ * @returns {string} The quoted string
+ */
+function serializeString(string) {
+  const quote = string.includes("'") && !string.includes('"') ? '"' : "'";
+  return `${quote}${[...string]
+    .map((character) => {
+      const codePoint = character.codePointAt(0);
+      if (codePoint === 0) {
+        return '\ufffd';
+      } else if (
+        (codePoint >= 0x1 && codePoint <= 0x1f) ||
+        codePoint === 0x7f
       ) {
-        resultingAttributes = resultingAttributes.filter((resultingAttribute) =>
-          resultingAttribute.operator === operator
-            ? resultingAttribute.caseSensitive
-            : true
-        );
+        return `\\${codePoint.toString(16)} `;
+      } else if (character === quote || character === '\\') {
+        return `\\${character}`;
       }
-    }
-
-    resultingAttributes = resultingAttributes.filter(
-      (_resultingAttribute, resultingAttributeIndex) =>
-        !removeIndexAttributes.includes(resultingAttributeIndex)
-    );
+      return character;
+    })
+    .join('')}${quote}`;
+}
 
-    return [anchoringSensitive, anchoringInsensitive];
+/**
+ * Tokenizes a selector. parsel doesn't know about escapes, so each one is
+ * swapped for a character of the private use area while parsel runs, and then
+ * decoded in names and values and put back in the rest. The `*` and `|a`
+ * tokens parsel gives for type selectors in any namespace such as `*|a` are
+ * joined too
+ *
+ * @param {string} selector The selector to tokenize
+ * @returns {any[]} The tokens of the selector
+ */
+function tokenize(selector) {
+  const escapes = [];
+  // The index in the selector of each index in the selector given to parsel
+  const indexes = [];
+  let swappedSelector = '';
+  let index = 0;
+  // Characters of the private use area are swapped too so they aren't mixed up
+  // with the escapes
+  for (const match of selector.matchAll(
+    new RegExp(`${escapePattern.source}|[\\ue000-\\uf8ff]`, 'g')
+  )) {
+    for (; index < match.index; index++) {
+      indexes.push(index);
+      swappedSelector += selector[index];
+    }
+    indexes.push(index);
+    swappedSelector += String.fromCharCode(0xe000 + escapes.length);
+    escapes.push(match[0]);
+    index += match[0].length;
   }
-
-  // Do starting assertion validation '^='
-
-  const startAnchoringResult = anchoringWork('startsWith', '^=');
-
-  let startingSensitive;
-  let startingInsensitive;
-  if (startAnchoringResult) {
-    startingSensitive = startAnchoringResult[0];
-    startingInsensitive = startAnchoringResult[1];
-  } else {
-    return false;
+  for (; index < selector.length; index++) {
+    indexes.push(index);
+    swappedSelector += selector[index];
   }
+  indexes.push(selector.length);
 
-  // Check the '*=' assertions
-
-  let sensitiveIncludes = [];
-  let insensitiveIncludes = [];
-
-  /**
-   * Compares two includes assertions
-   *
-   * @param {string} value1 The first value
-   * @param {string} value2 The second value
-   * @returns {-1 | 0 | 1 | null} -1 if smaller, 0 if equal, 1 if larger, null
-   *   if nowhere near
-   */
-  function compareIncludes(value1, value2) {
-    if (value1 === value2) {
-      return 0;
-    } else if (value1.includes(value2)) {
-      return 1;
-    } else if (value2.includes(value1)) {
-      return -1;
-    }
-    return null;
-  }
+  const restore = (string, decode) =>
+    string.replace(/[\ue000-\uf8ff]/g, (character) => {
+      const escape = escapes[character.charCodeAt(0) - 0xe000];
+      return decode && escape.startsWith('\\') ? decodeEscape(escape) : escape;
+    });
 
-  resultingAttributes.forEach((resultingAttribute) => {
-    if (resultingAttribute.operator === '*=') {
-      if (resultingAttribute.caseSensitive) {
-        if (
-          sensitiveIncludes.find((sensitiveInclusion) =>
-            [0, 1].includes(
-              compareIncludes(
-                sensitiveInclusion.toLowerCase(),
-                resultingAttribute.value.toLowerCase()
-              )
-            )
-          )
-        ) {
-          return;
-        }
-        match = false;
-        sensitiveIncludes
-          .map(
-            (sensitiveInclusion) =>
-              compareIncludes(sensitiveInclusion, resultingAttribute.value) ===
-              -1
-          )
-          .forEach((comparison, comparisonIndex) => {
-            if (comparison) {
-              match = true;
-              sensitiveIncludes[comparisonIndex] = resultingAttribute.value;
-            }
-          });
-        if (!match) {
-          sensitiveIncludes.push(resultingAttribute.value);
-        }
-        sensitiveIncludes = [...new Set(sensitiveIncludes)];
-        insensitiveIncludes = insensitiveIncludes.filter(
-          (insensitiveInclusion) => {
-            const comparison = compareIncludes(
-              insensitiveInclusion,
-              resultingAttribute.value.toLowerCase()
-            );
-            if (comparison === null || comparison === 1) {
-              return true;
-            }
-            return false;
-          }
-        );
-      } else if (
-        !sensitiveIncludes.find((sensitiveInclusion) =>
-          [0, 1].includes(
-            compareIncludes(
-              sensitiveInclusion.toLowerCase(),
-              resultingAttribute.value.toLowerCase()
-            )
-          )
-        ) &&
-        !insensitiveIncludes.find((insensitiveInclusion) =>
-          [0, 1].includes(
-            compareIncludes(
-              insensitiveInclusion,
-              resultingAttribute.value.toLowerCase()
-            )
-          )
-        )
-      ) {
-        match = false;
-        insensitiveIncludes
-          .map(
-            (insensitiveInclusion) =>
-              compareIncludes(
-                insensitiveInclusion,
-                resultingAttribute.value.toLowerCase()
-              ) === -1
-          )
-          .forEach((comparison, comparisonIndex) => {
-            if (comparison) {
-              match = true;
-              insensitiveIncludes[comparisonIndex] =
-                resultingAttribute.value.toLowerCase();
-            }
-          });
-        if (!match) {
-          insensitiveIncludes.push(resultingAttribute.value.toLowerCase());
-        }
-        insensitiveIncludes = [...new Set(insensitiveIncludes)];
+  return parsel.tokenize(swappedSelector).reduce((tokens, parselToken) => {
+    const token = {
+      ...parselToken,
+      pos: parselToken.pos.map((position) => indexes[position])
+    };
+    ['name', 'namespace'].forEach((property) => {
+      if (typeof token[property] === 'string') {
+        token[property] = restore(token[property], true);
       }
-    }
-  });
-
-  // Validate the includes assertions for any conflicts with the equals assertions
-  if (sensitiveValue || insensitiveValue) {
-    if (
-      sensitiveValue &&
-      (!sensitiveIncludes.every((sensitiveInclusion) =>
-        sensitiveValue.includes(sensitiveInclusion)
-      ) ||
-        !insensitiveInclusion.every((insensitiveInclusion) =>
-          sensitiveValue.toLowerCase().includes(insensitiveInclusion)
-        ))
-    ) {
-      return false;
+    });
+    ['content', 'argument'].forEach((property) => {
+      if (typeof token[property] === 'string') {
+        token[property] = restore(token[property], false);
+      }
+    });
+    if (typeof token.value === 'string') {
+      token.value = restore(
+        /^(['"]).*\1$/s.test(token.value)
+          ? token.value.slice(1, -1)
+          : token.value,
+        true
+      );
     }
 
+    const previousToken = tokens[tokens.length - 1];
     if (
-      insensitiveValue &&
-      (!sensitiveIncludes.every((sensitiveInclusion) =>
-        insensitiveValue.includes(sensitiveInclusion.toLowerCase())
-      ) ||
-        !insensitiveIncludes.every((insensitiveInclusion) =>
-          insensitiveValue.includes(insensitiveInclusion)
-        ))
+      token.type === 'type' &&
+      token.namespace === '' &&
+      previousToken &&
+      previousToken.type === 'universal' &&
+      previousToken.namespace === undefined &&
+      previousToken.pos[1] === token.pos[0]
     ) {
-      return false;
+      tokens[tokens.length - 1] = {
+        ...token,
+        namespace: '*',
+        content: `*${token.content}`,
+        pos: [previousToken.pos[0], token.pos[1]]
+      };
+    } else {
+      tokens.push(token);
     }
+    return tokens;
+  }, []);
+}
 
-    resultingAttributes = resultingAttributes.filter(
-      (resultingAttribute) => resultingAttribute.operator !== '*='
-    );
-    resultingAttributes = [
-      ...resultingAttributes,
-      ...(sensitiveValue
-        ? []
-        : [
-            ...sensitiveIncludes.map((sensitiveInclusion) => ({
-              key: attributeSelectors[0].key,
-              operator: '*=',
-              value: sensitiveInclusion,
-              caseSensitive: true
-            })),
-            ...(insensitiveValue
-              ? []
-              : insensitiveIncludes.map((insensitiveInclusion) => ({
-                  key: attributeSelectors[0].key,
-                  operator: '*=',
-                  value: insensitiveInclusion,
-                  caseSensitive: false
-                })))
-          ])
-    ];
+/**
+ * Gives the key of an attribute assertion from its name and the prefix of its
+ * namespace
+ *
+ * @param {string | undefined} prefix The prefix, `'*'` for any namespace and
+ *   undefined for no namespace
+ * @param {string} name The name of the attribute
+ * @returns {string} The key
+ */
+function attributeKey(prefix, name) {
+  if (prefix !== undefined) {
+    return `${prefix}|${name}`;
   }
+  // An empty prefix is also for no namespace, which keeps names with a | apart
+  return name.includes('|') ? `|${name}` : name;
+}
 
-  // Check the '$=' assertions
+/**
+ * Splits the key of an attribute assertion into the prefix of its namespace and
+ * its name, the opposite of `attributeKey`
+ *
+ * @param {string} key The key
+ * @returns {[string | undefined, string]} The prefix, `'*'` for any namespace
+ *   and undefined for no namespace, and the name
+ */
+function splitAttributeKey(key) {
+  const separatorIndex = key.indexOf('|');
+  return separatorIndex <= 0
+    ? [undefined, key.slice(separatorIndex + 1)]
+    : [key.slice(0, separatorIndex), key.slice(separatorIndex + 1)];
+}
 
-  const endAnchoringResult = anchoringWork('endsWith', '$=');
+/**
+ * Checks if a namespace restricts the elements matched, to the ones in the
+ * namespace or to the ones without any
+ *
+ * @param {string | undefined} namespace The namespace of a selector state
+ * @returns {boolean} Whether the namespace restricts the elements or not
+ */
+function isNamespaced(namespace) {
+  return namespace !== undefined && namespace !== '*';
+}
 
-  let endingSensitive;
-  let endingInsensitive;
-  if (endAnchoringResult) {
-    endingSensitive = endAnchoringResult[0];
-    endingInsensitive = endAnchoringResult[1];
-  } else {
-    return false;
+/**
+ * Resolves the namespace prefix of a type, universal or attribute selector
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {string | undefined} prefix The prefix, `'*'` for any namespace, `''`
+ *   for no namespace and undefined if there is no prefix
+ * @param {boolean} isDefaultApplied Whether the default namespace applies when
+ *   there is no prefix, which isn't the case for attribute selectors
+ * @returns {string | undefined} The URI of the namespace, the prefix itself if
+ *   it isn't declared and undefined if no namespace is asserted
+ */
+function resolveNamespace(context, prefix, isDefaultApplied) {
+  if (prefix === undefined) {
+    return isDefaultApplied && context.namespaces.has('')
+      ? context.namespaces.get('')
+      : undefined;
   }
+  return prefix !== '*' && prefix !== '' && context.namespaces.has(prefix)
+    ? context.namespaces.get(prefix)
+    : prefix;
+}
 
-  // Check the '|=' assertions
-
-  const pipeAnchoringResult = anchoringWork('startsWith', '|=', true);
-
-  let pipeSensitive;
-  let pipeInsensitive;
-  if (pipeAnchoringResult) {
-    pipeSensitive = pipeAnchoringResult[0];
-    pipeInsensitive = pipeAnchoringResult[1];
-  } else {
-    return false;
+/**
+ * Finds the prefix to write a namespace with, the opposite of
+ * `resolveNamespace`
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {string | undefined} namespace The URI of the namespace, `'*'` for
+ *   any namespace and `''` for no namespace
+ * @param {boolean} isDefaultApplied Whether the default namespace applies when
+ *   there is no prefix, which isn't the case for attribute selectors
+ * @returns {string | undefined} The prefix, undefined if none is needed
+ */
+function namespacePrefix(context, namespace, isDefaultApplied) {
+  if (namespace === undefined) {
+    return undefined;
+  } else if (namespace === '*') {
+    return isDefaultApplied && !context.namespaces.has('') ? undefined : '*';
+  } else if (namespace === '') {
+    return isDefaultApplied ? '' : undefined;
+  } else if (isDefaultApplied && context.namespaces.get('') === namespace) {
+    return undefined;
   }
 
-  // Edit the attributes to contain required pipe assertions only
-  if (pipeSensitive && pipeInsensitive) {
-    if (pipeSensitive.length >= pipeInsensitive.length) {
-      resultingAttributes = resultingAttributes.filter((resultingAttribute) =>
-        resultingAttribute.operator === '|='
-          ? resultingAttribute.caseSensitive &&
-            resultingAttribute.value === pipeSensitive
-          : true
-      );
-    }
-  } else if (pipeSensitive || pipeInsensitive) {
-    resultingAttributes = resultingAttributes.filter((resultingAttribute) =>
-      resultingAttribute.operator === '|='
-        ? resultingAttribute.value === pipeSensitive
-        : true
-    );
-  }
+  const declaration = [...context.namespaces].find(
+    ([prefix, uri]) => prefix !== '' && uri === namespace
+  );
+  return declaration ? declaration[0] : namespace;
+}
 
-  // Validate other assertions with the pipe assertion
+/** @type {string} The URI of the HTML namespace */
+const htmlNamespace = 'http://www.w3.org/1999/xhtml';
 
-  if (
-    (pipeSensitive || pipeInsensitive) &&
-    (sensitiveValue || insensitiveValue)
-  ) {
-    if (sensitiveValue) {
-      if (
-        !sensitiveValue.startsWith(pipeSensitive || '') ||
-        !sensitiveValue.toLowerCase().startsWith(pipeInsensitive.toLowerCase())
-      ) {
-        return false;
-      }
+/**
+ * @type {string[]} Attributes whose values are compared case-insensitively on
+ *   HTML elements in HTML documents when no flag is given
+ */
+const caseInsensitiveAttributes = [
+  'accept',
+  'accept-charset',
+  'align',
+  'alink',
+  'axis',
+  'bgcolor',
+  'charset',
+  'checked',
+  'clear',
+  'codetype',
+  'color',
+  'compact',
+  'declare',
+  'defer',
+  'dir',
+  'direction',
+  'disabled',
+  'enctype',
+  'face',
+  'frame',
+  'hreflang',
+  'http-equiv',
+  'lang',
+  'language',
+  'link',
+  'media',
+  'method',
+  'multiple',
+  'nohref',
+  'noresize',
+  'noshade',
+  'nowrap',
+  'readonly',
+  'rel',
+  'rev',
+  'rules',
+  'scope',
+  'scrolling',
+  'selected',
+  'shape',
+  'target',
+  'text',
+  'type',
+  'valign',
+  'valuetype',
+  'vlink'
+];
 
-      if (
-        (sensitiveValue !== pipeSensitive &&
-          !sensitiveValue.startsWith(pipeSensitive + '-')) ||
-        (sensitiveValue.toLowerCase() !== pipeInsensitive.toLowerCase() &&
-          !sensitiveValue
-            .toLowerCase()
-            .startsWith(pipeInsensitive.toLowerCase() + '-'))
-      ) {
-        return false;
-      }
-    }
+/**
+ * Checks if the default case-sensitivity of an attribute value is that it
+ * isn't case-sensitive, in the document language of the options
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {string} key The key of the attribute
+ * @returns {boolean} Whether the value isn't case-sensitive by default
+ */
+function isCaseInsensitiveByDefault(context, key) {
+  return (
+    context.documentLanguage !== 'xml' &&
+    caseInsensitiveAttributes.includes(key)
+  );
+}
 
-    if (insensitiveValue) {
-      if (
-        !insensitiveValue.startsWith(pipeSensitive || '') ||
-        !insensitiveValue.startsWith(pipeInsensitive.toLowerCase())
-      ) {
-        return false;
-      }
-
-      if (
-        (insensitiveValue !== pipeSensitive.toLowerCase() &&
-          !insensitiveValue.startsWith(pipeSensitive.toLowerCase() + '-')) ||
-        (insensitiveValue !== pipeInsensitive.toLowerCase() &&
-          !insensitiveValue.startsWith(pipeInsensitive.toLowerCase() + '-'))
-      ) {
-        return false;
-      }
-    }
-  }
-
-  if (startingSensitive) {
-    if (pipeSensitive) {
-      if (startingSensitive.length <= pipeSensitive.length) {
-        if (!pipeSensitive.startsWith(startingSensitive)) {
-          return false;
-        }
-        resultingAttributes = resultingAttributes.filter(
-          (resultingAttribute) => resultingAttribute.operator !== '^='
-        );
-      } else {
-        if (!startingSensitive.startsWith(pipeSensitive + '-')) {
-          return false;
-        }
-        resultingAttributes = resultingAttributes.filter(
-          (resultingAttribute) => resultingAttribute.operator !== '|='
-        );
-      }
-    }
-
-    if (pipeInsensitive) {
-      if (startingSensitive.length <= pipeInsensitive.length) {
-        if (
-          !pipeInsensitive
-            .toLowerCase()
-            .startsWith(startingSensitive.toLowerCase())
-        ) {
-          return false;
-        }
-        resultingAttributes = resultingAttributes.filter(
-          (resultingAttribute) => resultingAttribute.operator !== '^='
-        );
-      } else {
-        if (
-          !startingSensitive
-            .toLowerCase()
-            .startsWith(pipeInsensitive.toLowerCase() + '-')
-        ) {
-          return false;
-        }
-        resultingAttributes = resultingAttributes.filter(
-          (resultingAttribute) => resultingAttribute.operator !== '|='
-        );
-      }
-    }
-  }
-
-  if (startingInsensitive) {
-    if (pipeSensitive) {
-      if (startingInsensitive.length <= pipeSensitive.length) {
-        if (
-          !pipeSensitive
-            .toLowerCase()
-            .startsWith(startingInsensitive.toLowerCase())
-        ) {
-          return false;
-        }
-        resultingAttributes = resultingAttributes.filter(
-          (resultingAttribute) => resultingAttribute.operator !== '^='
-        );
-      } else {
-        if (
-          !startingInsensitive
-            .toLowerCase()
-            .startsWith(pipeSensitive.toLowerCase() + '-')
-        ) {
-          return false;
-        }
-        resultingAttributes = resultingAttributes.filter(
-          (resultingAttribute) => resultingAttribute.operator !== '|='
-        );
-      }
-    }
-
-    if (pipeInsensitive) {
-      if (startingInsensitive.length <= pipeInsensitive.length) {
-        if (
-          !pipeInsensitive
-            .toLowerCase()
-            .startsWith(startingInsensitive.toLowerCase())
-        ) {
-          return false;
-        }
-        resultingAttributes = resultingAttributes.filter(
-          (resultingAttribute) => resultingAttribute.operator !== '^='
-        );
-      } else {
-        if (
-          !startingInsensitive
-            .toLowerCase()
-            .startsWith(pipeInsensitive.toLowerCase() + '-')
-        ) {
-          return false;
-        }
-        resultingAttributes = resultingAttributes.filter(
-          (resultingAttribute) => resultingAttribute.operator !== '|='
-        );
-      }
-    }
-  }
-
-  // Check the '~=' assertion
-
-  let insensitiveWords = [];
-  let sensitiveWords = [];
-
-  resultingAttributes = resultingAttributes.filter((resultingAttribute) => {
-    if (resultingAttribute.caseSensitive) {
-      if (sensitiveWords.includes(resultingAttribute.value)) {
-        return false;
-      }
-      sensitiveWords.push(resultingAttribute.value);
-      return true;
-    } else {
-      if (insensitiveWords.includes(resultingAttribute.value)) {
-        return false;
-      }
-      insensitiveWords.push(resultingAttribute.value);
-      return true;
-    }
-  });
-
-  return resultingAttributes;
+/**
+ * Lowercases the ASCII letters of a name, like HTML does with the names of
+ * elements and attributes
+ *
+ * @param {string} name The name
+ * @returns {string} The lowercased name
+ */
+function asciiLowercase(name) {
+  return name.replace(/[A-Z]+/g, (letters) => letters.toLowerCase());
 }
 
 /**
  * Extracts information on given tokens
  *
+ * @param {Context} context The options the selectors are read and written with
  * @param {any[]} tokens
+ * @param {boolean} [isArgument=false] Whether the tokens are in the argument of
+ *   a pseudo-class such as :not(), where the default namespace only applies to
+ *   explicit type and universal selectors. Default is `false`
  * @returns {SelectorState} The state for the tokens
  */
-function extractInfo(tokens) {
+function extractInfo(context, tokens, isArgument = false) {
   const state = {
     pseudoClasses: [],
     attributes: []
@@ -731,28 +620,65 @@ function extractInfo(tokens) {
   tokens.forEach((token) => {
     switch (token.type) {
       case 'pseudo-element':
-        state.pseudoElement = token.name;
+        state.pseudoElements = [
+          ...(state.pseudoElements || []),
+          {
+            name: asciiLowercase(token.name),
+            argument: token.argument,
+            pseudoClasses: []
+          }
+        ];
+        break;
+
+      case 'type': {
+        const namespace = resolveNamespace(context, token.namespace, true);
+        state.type =
+          context.documentLanguage !== 'xml' &&
+          (!isNamespaced(namespace) || namespace === htmlNamespace)
+            ? asciiLowercase(token.name)
+            : token.name;
+        state.namespace = namespace === undefined ? '*' : namespace;
         break;
+      }
 
-      case 'type':
-        state.type = token.name;
-        state.namespace = token.namespace || '*';
+      case 'universal': {
+        const namespace = resolveNamespace(context, token.namespace, true);
+        if (namespace !== undefined) {
+          state.namespace = namespace;
+        }
         break;
+      }
 
       case 'class':
         state.attributes.push({
           key: 'class',
           operator: '~=',
           value: token.name,
-          caseSensitive: true
+          caseSensitive: context.documentLanguage !== 'html-quirks'
         });
         break;
 
       case 'pseudo-class':
-        state.pseudoClasses.push({
-          name: token.name,
-          argument: token.argument
-        });
+        if (state.pseudoElements) {
+          state.pseudoElements[
+            state.pseudoElements.length - 1
+          ].pseudoClasses.push({
+            name: token.name,
+            argument: token.argument
+          });
+        } else if (
+          token.argument === undefined &&
+          legacyPseudoElements.includes(asciiLowercase(token.name))
+        ) {
+          state.pseudoElements = [
+            { name: asciiLowercase(token.name), pseudoClasses: [] }
+          ];
+        } else {
+          state.pseudoClasses.push({
+            name: token.name,
+            argument: token.argument
+          });
+        }
         break;
 
       case 'id':
@@ -760,22 +686,56 @@ function extractInfo(tokens) {
           key: 'id',
           operator: '=',
           value: token.name,
-          caseSensitive: true
+          caseSensitive: context.documentLanguage !== 'html-quirks'
         });
         break;
 
-      case 'attribute':
+      case 'attribute': {
+        const prefix = namespacePrefix(
+          context,
+          resolveNamespace(context, token.namespace, false),
+          false
+        );
+        const key = attributeKey(
+          prefix,
+          prefix === undefined && context.documentLanguage !== 'xml'
+            ? asciiLowercase(token.name)
+            : token.name
+        );
+        const flag = token.caseSensitive && token.caseSensitive.toLowerCase();
         state.attributes.push({
-          key: token.name,
+          key,
           operator: token.operator || '',
-          value: token.value.replace(/^('(.*?)'|"(.*?)")$/, '$2'),
-          caseSensitive: token.caseSensitive
-            ? token.caseSensitive.toLowerCase() === 'i'
-              ? false
-              : true
-            : true
+          value: token.value || '',
+          caseSensitive: flag
+            ? flag === 's'
+            : !isCaseInsensitiveByDefault(context, key),
+          ...(flag ? { flag } : {})
         });
         break;
+      }
+    }
+  });
+
+  // Compounds without a type selector are in the default namespace too
+  if (
+    !isArgument &&
+    state.namespace === undefined &&
+    context.namespaces.has('')
+  ) {
+    state.namespace = context.namespaces.get('');
+  }
+
+  // The selectors in arguments are parsed along with the selector they are in
+  [
+    ...state.pseudoClasses,
+    ...(state.pseudoElements || []).flatMap((pseudoElement) => [
+      pseudoElement,
+      ...pseudoElement.pseudoClasses
+    ])
+  ].forEach((pseudo) => {
+    if (pseudo.argument && selectorArgumentPseudos.includes(pseudo.name)) {
+      parsedArgument(context, pseudo);
     }
   });
 
@@ -797,525 +757,4759 @@ const oppositePseudoClasses = [
 ];
 
 /**
- * Checks if two selector states have an intersection
+ * @type {string[]} Pseudo-elements that can also be written with a single
+ *   colon like pseudo-classes
+ */
+const legacyPseudoElements = ['before', 'after', 'first-line', 'first-letter'];
+
+/**
+ * @type {string[]} Pseudo-classes that only match the shadow host, from inside
+ *   its shadow tree
+ */
+const hostPseudoClasses = ['host', 'host-context'];
+
+/**
+ * @type {string[]} Pseudo-classes and pseudo-elements whose argument is
+ *   reasoned about as selectors, see `parsedArgument`
+ */
+const selectorArgumentPseudos = [
+  'is',
+  'matches',
+  '-webkit-any',
+  '-moz-any',
+  'where',
+  'not',
+  'has',
+  'host',
+  'slotted'
+];
+
+/** @type {string[]} Pseudo-classes that take an An+B argument */
+const nthPseudoClasses = [
+  'nth-child',
+  'nth-last-child',
+  'nth-of-type',
+  'nth-last-of-type'
+];
+
+/**
+ * @type {{ modulus: number; residue: number; min: number; max: number }} The
+ *   range of every position an element can be at among its siblings
+ */
+const everyPosition = { modulus: 1, residue: 0, min: 1, max: Infinity };
+
+/**
+ * @type {Object<string, string>} Pseudo-classes that are the same as the An+B
+ *   pseudo-class they map to with an argument of 1
+ */
+const nthShorthandPseudoClasses = {
+  'first-child': 'nth-child',
+  'last-child': 'nth-last-child',
+  'first-of-type': 'nth-of-type',
+  'last-of-type': 'nth-last-of-type'
+};
+
+/**
+ * @typedef {Object} NthRange
+ * @property {number} modulus The step between positions
+ * @property {number} residue The remainder positions give when divided by the
+ *   modulus
+ * @property {number} min The smallest position that can match
+ * @property {number} max The largest position that can match, can be Infinity
+ */
+
+/**
+ * Parses the argument of an An+B pseudo-class
  *
- * @param {SelectorState} token1 The first selector state
- * @param {SelectorState} token2 The second selector state
- * @returns {SelectorState | false} False if they don't intersect, or else a
- *   selector state
+ * @param {string} argument The argument, e.g. `2n+1`, `odd` or `-n+3 of .a`
+ * @returns {{ range: NthRange; of: string } | null} The positions it matches
+ *   and the selector after `of` or null if it couldn't be parsed
  */
-function intersects(token1, token2) {
-  /** @type {SelectorState} */
-  const finalState = {};
+function parseNth(argument) {
+  const [, anPlusB, of = ''] = argument.match(/^(.*?)(?:\s+of\s+(.*))?$/s);
+  const normalized = anPlusB.replace(/\s+/g, '').toLowerCase();
 
-  if (token1.namespace !== token2.namespace) {
-    if (token1.namespace !== '*' && token2.namespace !== '*') {
-      return false;
-    }
+  let a;
+  let b;
+  if (normalized === 'odd') {
+    a = 2;
+    b = 1;
+  } else if (normalized === 'even') {
+    a = 2;
+    b = 0;
+  } else if (/^[+-]?\d+$/.test(normalized)) {
+    a = 0;
+    b = parseInt(normalized, 10);
   } else {
-    finalState.namespace = token1.namespace || token2.namespace;
-  }
-
-  if (!finalState.namespace) {
-    if (token1.namespace && token1.namespace !== '*') {
-      finalState.namespace = token1.namespace;
-    } else if (token2.namespace && token2.namespace !== '*') {
-      finalState.namespace = token2.namespace;
-    } else if (token1.namespace || token2.namespace) {
-      finalState.namespace = '*';
+    const match = normalized.match(/^([+-]?\d*)n([+-]\d+)?$/);
+    if (!match) {
+      return null;
     }
+    a = ['', '+', '-'].includes(match[1])
+      ? parseInt(`${match[1]}1`, 10)
+      : parseInt(match[1], 10);
+    b = match[2] ? parseInt(match[2], 10) : 0;
   }
 
-  if (token1.type !== token2.type) {
-    if (
-      token1.type &&
-      token2.type &&
-      token1.type !== '*' &&
-      token2.type !== '*'
-    ) {
-      return false;
-    }
+  let range;
+  if (a === 0) {
+    range = { modulus: 1, residue: 0, min: b, max: b };
   } else {
-    finalState.type = token1.type || token2.type;
+    const modulus = Math.abs(a);
+    range = {
+      modulus,
+      residue: ((b % modulus) + modulus) % modulus,
+      min: a > 0 ? Math.max(b, 1) : 1,
+      max: a > 0 ? Infinity : b
+    };
   }
 
-  if (!finalState.type) {
-    if (token1.type && token1.type !== '*') {
-      finalState.type = token1.type;
-    } else if (token2.type && token2.type !== '*') {
-      finalState.type = token2.type;
-    } else if (token1.type || token2.type) {
-      finalState.type = '*';
-    }
+  return { range, of: of.trim() };
+}
+
+/**
+ * Finds the greatest common divisor along with the Bézout coefficients
+ *
+ * @param {number} a The first number
+ * @param {number} b The second number
+ * @returns {[number, number, number]} The greatest common divisor and the
+ *   coefficients x and y where ax + by is the greatest common divisor
+ */
+function extendedGcd(a, b) {
+  if (b === 0) {
+    return [a, 1, 0];
   }
+  const [gcd, x, y] = extendedGcd(b, a % b);
+  return [gcd, y, x - Math.floor(a / b) * y];
+}
 
-  if (token1.pseudoElement !== token2.pseudoElement) {
-    if (token1.pseudoElement && token2.pseudoElement) {
-      return false;
-    }
-  } else if (token1.pseudoElement) {
-    finalState.pseudoElement = token1.pseudoElement;
+/**
+ * Intersects two sets of An+B positions
+ *
+ * @param {NthRange} range1 The first set of positions
+ * @param {NthRange} range2 The second set of positions
+ * @returns {NthRange | false} The positions matched by both or false if there
+ *   aren't any
+ */
+function intersectNthRanges(range1, range2) {
+  // Solve the two congruences with the chinese remainder theorem
+  const [gcd, x] = extendedGcd(range1.modulus, range2.modulus);
+  if ((range2.residue - range1.residue) % gcd !== 0) {
+    return false;
   }
+  const modulus = (range1.modulus / gcd) * range2.modulus;
+  const residue =
+    (((range1.residue +
+      range1.modulus *
+        ((((range2.residue - range1.residue) / gcd) * x) %
+          (range2.modulus / gcd))) %
+      modulus) +
+      modulus) %
+    modulus;
 
-  finalState.pseudoClasses = [
-    ...new Set(token1.pseudoClasses.concat(token2.pseudoClasses))
-  ];
-  finalState.pseudoClasses = finalState.pseudoClasses.filter(
-    (pseudoClass) => pseudoClass.name !== 'scope'
-  );
-  finalState.attributes = Object.values(
-    groupArray([...token1.attributes, ...token2.attributes], 'operator')
-  ).map((attributeGroup) => intersectsAttributes(...attributeGroup));
+  const min = Math.max(range1.min, range2.min, 1);
+  const max = Math.min(range1.max, range2.max);
+  const first = min + ((((residue - min) % modulus) + modulus) % modulus);
+  if (first > max) {
+    return false;
+  }
 
-  if (finalState.attributes.includes(false)) {
+  return { modulus, residue, min: first, max };
+}
+
+/**
+ * Checks if every position in a set of An+B positions is in another one
+ *
+ * @param {NthRange} range1 The positions that could be a subset
+ * @param {NthRange} range2 The positions that could be a superset
+ * @returns {boolean} Whether the first positions are a subset or not
+ */
+function isNthRangeSubset(range1, range2) {
+  // Both start from their first position, so the same first, last and step means the same positions
+  const positions = intersectNthRanges(range1, everyPosition);
+  if (!positions) {
+    return true;
+  }
+  const common = intersectNthRanges(range1, range2);
+  if (!common) {
     return false;
-  } else {
-    finalState.attributes =
-      finalState.attributes.length > 0
-        ? mergeArrays(...finalState.attributes)
-        : [];
   }
 
-  /** @type {SelectorState[]} */
-  let notSelectors = [];
-  finalState.pseudoClasses = finalState.pseudoClasses.reduce(
-    (acc, nextPseudoClass) => {
-      if (nextPseudoClass.name !== 'not') {
-        acc.push(nextPseudoClass);
-      } else {
-        if (!notSelectors.includes(nextPseudoClass.argument)) {
-          notSelectors.push(nextPseudoClass);
-        }
-      }
-      return acc;
-    },
-    []
+  const last = ({ modulus, min, max }) =>
+    max === Infinity ? Infinity : max - ((max - min) % modulus);
+  return (
+    common.min === positions.min &&
+    last(common) === last(positions) &&
+    (common.modulus === positions.modulus || positions.min === last(positions))
   );
+}
 
-  let dirs = [];
-  let langs = [];
-  finalState.pseudoClasses.forEach((pseudoClass) => {
-    if (pseudoClass.name === 'dir') {
-      dirs.push(pseudoClass.argument);
-    } else if (pseudoClass.name === 'lang') {
-      langs.push(pseudoClass.argument);
+/**
+ * Stringifies an An+B expression
+ *
+ * @param {number} a The step
+ * @param {number} b The offset
+ * @returns {string} The An+B expression
+ */
+function stringifyAnPlusB(a, b) {
+  if (a === 0) {
+    return `${b}`;
+  }
+  return `${a === 1 ? '' : a === -1 ? '-' : a}n${
+    b === 0 ? '' : b > 0 ? `+${b}` : b
+  }`;
+}
+
+/**
+ * Gives the An+B arguments that match exactly the given positions
+ *
+ * @param {NthRange} range The positions, where min is the first position that
+ *   matches
+ * @returns {string[]} One argument if the positions are a single arithmetic
+ *   progression, else two arguments that have to be matched together
+ */
+function stringifyNthRange({ modulus, min, max }) {
+  if (max === Infinity) {
+    return [stringifyAnPlusB(modulus, min === modulus ? 0 : min)];
+  }
+
+  const last = max - ((((max - min) % modulus) + modulus) % modulus);
+  if (last === min) {
+    return [stringifyAnPlusB(0, min)];
+  } else if (min <= modulus) {
+    return [stringifyAnPlusB(-modulus, last)];
+  }
+  return [stringifyAnPlusB(modulus, min), stringifyAnPlusB(-modulus, last)];
+}
+
+/**
+ * Parses an An+B pseudo-class or one of its shorthands like :first-child
+ *
+ * @param {{ name: string; argument?: string }} pseudoClass The pseudo-class
+ * @returns {{ name: string; range: NthRange; of: string } | null} The An+B
+ *   pseudo-class it is, with the positions it matches and the selector after
+ *   `of`, or null if it isn't one
+ */
+function parseNthPseudoClass(pseudoClass) {
+  if (nthShorthandPseudoClasses[pseudoClass.name] && !pseudoClass.argument) {
+    return {
+      name: nthShorthandPseudoClasses[pseudoClass.name],
+      ...parseNth('1')
+    };
+  } else if (
+    nthPseudoClasses.includes(pseudoClass.name) &&
+    pseudoClass.argument
+  ) {
+    const nth = parseNth(pseudoClass.argument);
+    return nth && { name: pseudoClass.name, ...nth };
+  }
+  return null;
+}
+
+/**
+ * Solves the An+B pseudo-classes (and their shorthands like :first-child) that
+ * count on the same axis so only the positions matched by all of them remain
+ *
+ * @param {SelectorState['pseudoClasses']} pseudoClasses The pseudo-classes to
+ *   solve
+ * @returns {SelectorState['pseudoClasses'] | false} The pseudo-classes with
+ *   the An+B ones merged or false if they don't intersect
+ */
+function intersectsNthPseudoClasses(pseudoClasses) {
+  const groups = {};
+  pseudoClasses.forEach((pseudoClass) => {
+    const nth = parseNthPseudoClass(pseudoClass);
+    if (!nth) {
+      return;
     }
+
+    const key = `${nth.name}(${nth.of})`;
+    groups[key] = groups[key] || [];
+    groups[key].push({ pseudoClass, ...nth });
   });
-  if (dirs.length > 1) {
-    for (const dir of dirs) {
-      if (dir !== dirs[0]) {
+
+  let resultingPseudoClasses = pseudoClasses;
+  for (const group of Object.values(groups)) {
+    // A single An+B pseudo-class is left as it was written, unless it matches
+    // no position at all such as :nth-child(-n)
+    if (group.length < 2) {
+      if (!intersectNthRanges(group[0].range, everyPosition)) {
         return false;
       }
+      continue;
     }
-    const firstOccurrence = finalState.pseudoClasses.findIndex(
-      (pseudoClass) => pseudoClass.name === 'dir'
-    );
-    finalState.pseudoClasses = finalState.pseudoClasses.filter(
-      (pseudoClass, pseudoClassIndex) => {
-        if (
-          pseudoClassIndex !== firstOccurrence &&
-          pseudoClass.name === 'dir'
-        ) {
-          return false;
-        }
-        return true;
-      }
-    );
-  }
-  if (langs.length > 1) {
-    for (const lang of langs) {
-      if (lang !== langs[0]) {
+
+    let range = group[0].range;
+    for (const nth of group.slice(1)) {
+      range = intersectNthRanges(range, nth.range);
+      if (!range) {
         return false;
       }
     }
-    const firstOccurrence = finalState.pseudoClasses.findIndex(
-      (pseudoClass) => pseudoClass.name === 'lang'
+
+    const { name, of } = group[0];
+    const shorthand = Object.keys(nthShorthandPseudoClasses).find(
+      (shorthandName) => nthShorthandPseudoClasses[shorthandName] === name
     );
-    finalState.pseudoClasses = finalState.pseudoClasses.filter(
-      (pseudoClass, pseudoClassIndex) => {
-        if (
-          pseudoClassIndex !== firstOccurrence &&
-          pseudoClass.name === 'lang'
-        ) {
-          return false;
-        }
-        return true;
-      }
+    const solved = stringifyNthRange(range).map((argument) =>
+      argument === '1' && !of
+        ? { name: shorthand }
+        : { name, argument: of ? `${argument} of ${of}` : argument }
+    );
+
+    const groupPseudoClasses = group.map((nth) => nth.pseudoClass);
+    const firstOccurrence = resultingPseudoClasses.findIndex((pseudoClass) =>
+      groupPseudoClasses.includes(pseudoClass)
     );
+    resultingPseudoClasses = [
+      ...resultingPseudoClasses.slice(0, firstOccurrence),
+      ...solved,
+      ...resultingPseudoClasses
+        .slice(firstOccurrence)
+        .filter((pseudoClass) => !groupPseudoClasses.includes(pseudoClass))
+    ];
   }
 
-  const pseudoClassNames = finalState.pseudoClasses.map(
-    (pseudoClass) => pseudoClass.name
-  );
-  for (const oppositePseudoClass of oppositePseudoClasses) {
-    if (pseudoClassNames.includes(oppositePseudoClass[0]) && pseudoClassNames.includes(oppositePseudoClass[1])) {
+  return resultingPseudoClasses;
+}
+
+/**
+ * @type {RegExp} The whitespace that separates the words of attribute values,
+ *   which is only ASCII whitespace in HTML
+ */
+const htmlWhitespace = /[ \t\n\f\r]+/;
+
+/**
+ * Checks if an attribute assertion always holds for an element matching the
+ * given attribute assertions
+ *
+ * @param {SelectorState['attributes']} attributes The attribute assertions
+ *   that are known to hold
+ * @param {SelectorState['attributes'][number]} attribute The attribute
+ *   assertion to check
+ * @returns {boolean} Whether the attribute assertion is implied or not
+ */
+function impliesAttribute(attributes, attribute) {
+  const compare = (value) =>
+    attribute.caseSensitive ? value : value.toLowerCase();
+  const expected = compare(attribute.value);
+
+  // These match nothing with an empty value, or a ~= one with whitespace, so
+  // nothing can imply them
+  if (
+    (['^=', '$=', '*=', '~='].includes(attribute.operator) &&
+      expected === '') ||
+    (attribute.operator === '~=' && htmlWhitespace.test(expected))
+  ) {
+    return false;
+  }
+
+  return attributes.some((candidate) => {
+    if (candidate.key !== attribute.key) {
       return false;
+    } else if (attribute.operator === '') {
+      return true;
+    } else if (attribute.caseSensitive && !candidate.caseSensitive) {
+      return false;
+    }
+
+    const value = compare(candidate.value);
+    switch (attribute.operator) {
+      case '=':
+        return candidate.operator === '=' && value === expected;
+      case '~=':
+        return (
+          ['=', '~='].includes(candidate.operator) &&
+          value.split(htmlWhitespace).includes(expected)
+        );
+      case '^=':
+        return (
+          ['=', '^=', '|='].includes(candidate.operator) &&
+          value.startsWith(expected)
+        );
+      case '$=':
+        return (
+          ['=', '$='].includes(candidate.operator) && value.endsWith(expected)
+        );
+      case '*=':
+        return candidate.operator !== '' && value.includes(expected);
+      case '|=':
+        return (
+          (['=', '|='].includes(candidate.operator) && value === expected) ||
+          (['=', '|=', '^='].includes(candidate.operator) &&
+            value.startsWith(`${expected}-`))
+        );
     }
+    return false;
+  });
+}
+
+/**
+ * Checks if an attribute value matches an attribute assertion
+ *
+ * @param {string} value The value of the attribute
+ * @param {SelectorState['attributes'][number]} attribute The attribute
+ *   assertion
+ * @returns {boolean} Whether the value matches or not
+ */
+function matchesAttributeValue(value, attribute) {
+  const compare = (string) =>
+    attribute.caseSensitive ? string : string.toLowerCase();
+  const actual = compare(value);
+  const expected = compare(attribute.value);
+
+  switch (attribute.operator) {
+    case '':
+      return true;
+    case '=':
+      return actual === expected;
+    case '~=':
+      return (
+        expected !== '' &&
+        !htmlWhitespace.test(expected) &&
+        actual.split(htmlWhitespace).includes(expected)
+      );
+    case '|=':
+      return actual === expected || actual.startsWith(`${expected}-`);
+    case '^=':
+      return expected !== '' && actual.startsWith(expected);
+    case '$=':
+      return expected !== '' && actual.endsWith(expected);
+    case '*=':
+      return expected !== '' && actual.includes(expected);
   }
+  return false;
+}
 
-  let staticPseudoClasses = [];
-  finalState.pseudoClasses = finalState.pseudoClasses.reduce(
-    (acc, nextPseudoClass) => {
-      if (nextPseudoClass.argument) {
-        acc.push(nextPseudoClass);
-      } else {
-        if (!staticPseudoClasses.includes(nextPseudoClass.name)) {
-          staticPseudoClasses.push(nextPseudoClass.name);
-          acc.push(nextPseudoClass);
+/**
+ * Checks if every element matching a selector state matches a pseudo-class.
+ * Other than the same pseudo-class, An+B pseudo-classes are implied by ones
+ * that match fewer positions, :is() or :where() by any compound selector in
+ * their list that the state is a subset of, :not() when nothing matches both
+ * the state and what it negates and :has() by one whose relative selectors
+ * each imply one of its own
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {SelectorState} state The selector state
+ * @param {{ name: string; argument?: string }} pseudoClass The pseudo-class
+ * @returns {boolean} Whether the pseudo-class is known to be implied or not
+ */
+function impliesPseudoClass(context, state, pseudoClass) {
+  if (
+    state.pseudoClasses.find(
+      (candidate) =>
+        candidate.name === pseudoClass.name &&
+        (candidate.argument === pseudoClass.argument ||
+          (pseudoClass.name === 'host' &&
+            isHostSubset(context, candidate, pseudoClass)))
+    )
+  ) {
+    return true;
+  }
+
+  const nth = parseNthPseudoClass(pseudoClass);
+  if (nth) {
+    return state.pseudoClasses.some((candidate) => {
+      const candidateNth = parseNthPseudoClass(candidate);
+      return (
+        !!candidateNth &&
+        candidateNth.name === nth.name &&
+        candidateNth.of === nth.of &&
+        isNthRangeSubset(candidateNth.range, nth.range)
+      );
+    });
+  }
+
+  if (pseudoClass.name === 'not' && pseudoClass.argument) {
+    return parsedArgument(context, pseudoClass).every(
+      (selector) =>
+        selector.state &&
+        expandState(context, selector.state).every(
+          (negatedState) => !intersects(context, state, negatedState)
+        )
+    );
+  }
+
+  if (pseudoClass.name === 'has' && pseudoClass.argument) {
+    const relativeSelectors = parsedArgument(context, pseudoClass);
+    return state.pseudoClasses.some(
+      (candidate) =>
+        candidate.name === 'has' &&
+        !!candidate.argument &&
+        parsedArgument(context, candidate).every((relativeSelector1) =>
+          relativeSelectors.some((relativeSelector2) =>
+            impliesRelativeSelector(
+              context,
+              relativeSelector1,
+              relativeSelector2
+            )
+          )
+        )
+    );
+  }
+
+  return (
+    matchesAnyPseudoClasses.includes(pseudoClass.name) &&
+    !!pseudoClass.argument &&
+    parsedArgument(context, pseudoClass).some(
+      (selector) =>
+        selector.state && isStateSubset(context, state, selector.state)
+    )
+  );
+}
+
+/**
+ * Checks if every element matched by the first selector state is also matched
+ * by the second one. Most pseudo-classes are only compared literally, so this
+ * can give false for states that are subsets in reality
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {SelectorState} state1 The selector state that could be a subset
+ * @param {SelectorState} state2 The selector state that could be a superset
+ * @returns {boolean} Whether the first state is known to be a subset or not
+ */
+function isStateSubset(context, state1, state2) {
+  if (isNamespaced(state2.namespace) && state1.namespace !== state2.namespace) {
+    return false;
+  } else if (
+    state2.type &&
+    state2.type !== '*' &&
+    state1.type !== state2.type
+  ) {
+    return false;
+  } else if (
+    !isPseudoElementSubset(
+      context,
+      state1.pseudoElements,
+      state2.pseudoElements
+    )
+  ) {
+    return false;
+  }
+
+  return (
+    state2.attributes.every((attribute) =>
+      impliesAttribute(state1.attributes, attribute)
+    ) &&
+    state2.pseudoClasses.every((pseudoClass) =>
+      impliesPseudoClass(context, state1, pseudoClass)
+    )
+  );
+}
+
+/**
+ * Checks if a :host pseudo-class only matches shadow hosts another one matches
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {{ name: string; argument?: string }} host1 The :host pseudo-class
+ *   that could be a subset
+ * @param {{ name: string; argument?: string }} host2 The :host pseudo-class
+ *   that could be a superset
+ * @returns {boolean} Whether the first one is a subset or not
+ */
+function isHostSubset(context, host1, host2) {
+  if (!host2.argument) {
+    return true;
+  } else if (!host1.argument) {
+    return false;
+  }
+
+  const state1 = compoundArgument(context, host1);
+  const state2 = compoundArgument(context, host2);
+  return !!state1 && !!state2 && isStateSubset(context, state1, state2);
+}
+
+/**
+ * Parses the selector list given to a functional pseudo-class such as :not()
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {string} argument The argument of the pseudo-class
+ * @returns {{
+ *   content: string;
+ *   state?: SelectorState;
+ *   parsed?: ReturnType<typeof parseComplexSelector>;
+ * }[]}
+ *   The selectors in the list. Compound selectors get a state, and complex
+ *   selectors get their reversed selector instead, see `parseComplexSelector`
+ */
+function parseSelectorList(context, argument) {
+  return splitTokensByComma(tokenize(argument)).map((tokens) => {
+    const content = argument.slice(
+      tokens[0].pos[0],
+      tokens.slice(-1)[0].pos[1]
+    );
+    return tokens.find((token) => token.type === 'combinator')
+      ? { content, parsed: parseComplexSelector(context, tokens, true) }
+      : { content, state: extractInfo(context, tokens, true) };
+  });
+}
+
+/**
+ * @type {WeakMap<{ name: string; argument?: string }, any[]>} The parsed
+ *   arguments of pseudo-classes and pseudo-elements, see `parsedArgument`
+ */
+const parsedArguments = new WeakMap();
+
+/**
+ * Gives the parsed argument of a pseudo-class or pseudo-element that takes
+ * selectors, such as :not(), :has() or ::slotted(). The argument is parsed the
+ * first time it is needed, usually along with the selector it is in, and
+ * reused after that
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {{ name: string; argument?: string }} pseudo The pseudo-class or
+ *   pseudo-element
+ * @returns {any[]} The selectors in the argument, see `parseSelectorList`, or
+ *   the relative selectors for :has(), see `parseRelativeSelectorList`
+ */
+function parsedArgument(context, pseudo) {
+  if (!parsedArguments.has(pseudo)) {
+    parsedArguments.set(
+      pseudo,
+      pseudo.name === 'has'
+        ? parseRelativeSelectorList(context, pseudo.argument)
+        : parseSelectorList(context, pseudo.argument)
+    );
+  }
+  return parsedArguments.get(pseudo);
+}
+
+/**
+ * Keeps the parsed argument of a pseudo-class or pseudo-element that is built
+ * from selector states, so its argument doesn't have to be parsed again
+ *
+ * @template {{ name: string; argument?: string }} T
+ * @param {T} pseudo The pseudo-class or pseudo-element
+ * @param {any[] | undefined} selectorList The selectors in its argument, see
+ *   `parsedArgument`
+ * @returns {T} The pseudo-class or pseudo-element
+ */
+function withParsedArgument(pseudo, selectorList) {
+  if (selectorList) {
+    parsedArguments.set(pseudo, selectorList);
+  }
+  return pseudo;
+}
+
+/**
+ * Gives the originating element of a selector state, which is what the
+ * pseudo-classes written before its pseudo-elements apply to
+ *
+ * @param {SelectorState} state The selector state
+ * @returns {SelectorState} The state without its pseudo-elements
+ */
+function originatingElement(state) {
+  const { pseudoElements: _pseudoElements, ...element } = state;
+  return element;
+}
+
+/**
+ * Checks the :not() pseudo-classes against the rest of a selector state.
+ * Negations that contradict the state make the intersection empty, while the
+ * ones that are already implied by the state or by other negations are dropped
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {SelectorState} state The selector state without any negations
+ * @param {SelectorState['pseudoClasses']} notPseudoClasses The :not()
+ *   pseudo-classes to check
+ * @returns {SelectorState['pseudoClasses'] | false} The :not() pseudo-classes
+ *   that are still needed or false if they contradict the state
+ */
+function intersectsNotPseudoClasses(context, state, notPseudoClasses) {
+  // What is negated is compared with the originating element
+  const element = originatingElement(state);
+  const negations = [];
+  for (const notPseudoClass of notPseudoClasses) {
+    for (const negation of parsedArgument(context, notPseudoClass)) {
+      if (negation.state) {
+        // What is negated is the union of the ways :is() and :where() expand in it
+        const negatedStates = expandState(context, negation.state);
+
+        // The state always matches what is negated, e.g. .a:not(.a)
+        if (
+          negatedStates.some((negatedState) =>
+            isStateSubset(context, element, negatedState)
+          )
+        ) {
+          return false;
+        }
+
+        // The state never matches what is negated, e.g. #a:not(#b)
+        if (
+          !negatedStates.some((negatedState) =>
+            intersects(context, element, negatedState)
+          )
+        ) {
+          continue;
         }
       }
+      negations.push({ ...negation, notPseudoClass });
+    }
+  }
+
+  // Drop negations implied by others, e.g. :not(.a.b) next to :not(.a), and duplicates
+  const neededNegations = negations.filter(
+    (negation, negationIndex) =>
+      !negations.find((otherNegation, otherNegationIndex) => {
+        if (otherNegationIndex === negationIndex) {
+          return false;
+        } else if (otherNegation.content === negation.content) {
+          return otherNegationIndex < negationIndex;
+        } else if (!negation.state || !otherNegation.state) {
+          return false;
+        }
+        return (
+          isStateSubset(context, negation.state, otherNegation.state) &&
+          (otherNegationIndex < negationIndex ||
+            !isStateSubset(context, otherNegation.state, negation.state))
+        );
+      })
+  );
+
+  return notPseudoClasses.reduce((acc, notPseudoClass) => {
+    const remainingNegations = neededNegations.filter(
+      (negation) => negation.notPseudoClass === notPseudoClass
+    );
+    if (remainingNegations.length === 0) {
       return acc;
-    },
-    []
+    }
+    acc.push(
+      remainingNegations.length ===
+        negations.filter(
+          (negation) => negation.notPseudoClass === notPseudoClass
+        ).length &&
+        remainingNegations.length ===
+          parsedArgument(context, notPseudoClass).length
+        ? notPseudoClass
+        : withParsedArgument(
+            {
+              name: 'not',
+              argument: remainingNegations
+                .map((negation) => negation.content)
+                .join(', ')
+            },
+            remainingNegations.map(
+              ({ notPseudoClass: _notPseudoClass, ...negation }) => negation
+            )
+          )
+    );
+    return acc;
+  }, []);
+}
+
+/**
+ * @type {string[]} Pseudo-classes that match if any selector in their argument
+ *   matches
+ */
+const matchesAnyPseudoClasses = [
+  'is',
+  'matches',
+  '-webkit-any',
+  '-moz-any',
+  'where'
+];
+
+/**
+ * Merges the :where() pseudo-classes holding a single compound selector into
+ * one and checks it against the rest of a selector state. The pseudo-class is
+ * kept instead of merging it into the state so it doesn't add any specificity.
+ * The selectors of the other :where() whose subject can't be the same element
+ * as the state are dropped
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {SelectorState} state The selector state without any :where()
+ * @param {SelectorState['pseudoClasses']} wherePseudoClasses The :where()
+ *   pseudo-classes to merge
+ * @returns {SelectorState['pseudoClasses'] | false} The :where()
+ *   pseudo-classes that are still needed or false if they contradict the state
+ */
+function intersectsWherePseudoClasses(context, state, wherePseudoClasses) {
+  const otherPseudoClasses = [];
+  const compoundPseudoClasses = [];
+  let whereState;
+  for (let wherePseudoClass of wherePseudoClasses) {
+    let selectorList = parsedArgument(context, wherePseudoClass);
+    if (selectorList.length !== 1 || !selectorList[0].state) {
+      // Only keep the selectors whose subject can be the same element as the state
+      const matchingSelectors = selectorList.filter((selector) =>
+        intersects(
+          context,
+          state,
+          selector.state || selector.parsed[0].tokens[0]
+        )
+      );
+      if (matchingSelectors.length === 0) {
+        return false;
+      } else if (matchingSelectors.length < selectorList.length) {
+        selectorList = matchingSelectors;
+        wherePseudoClass = withParsedArgument(
+          {
+            name: 'where',
+            argument: selectorList
+              .map((selector) => selector.content)
+              .join(', ')
+          },
+          selectorList
+        );
+      }
+
+      if (selectorList.length !== 1 || !selectorList[0].state) {
+        otherPseudoClasses.push(wherePseudoClass);
+        continue;
+      }
+    }
+
+    compoundPseudoClasses.push(wherePseudoClass);
+    whereState = whereState
+      ? intersects(context, whereState, selectorList[0].state)
+      : selectorList[0].state;
+    if (!whereState) {
+      return false;
+    }
+  }
+
+  if (!whereState || isStateSubset(context, state, whereState)) {
+    return otherPseudoClasses;
+  } else if (!intersects(context, state, whereState)) {
+    return false;
+  }
+
+  if (compoundPseudoClasses.length === 1) {
+    return [...otherPseudoClasses, compoundPseudoClasses[0]];
+  }
+  const argument = stringifyState(context, whereState);
+  return [
+    ...otherPseudoClasses,
+    withParsedArgument({ name: 'where', argument }, [
+      { content: argument, state: whereState }
+    ])
+  ];
+}
+
+/**
+ * Expands the :is() and :where() pseudo-classes of a selector state that only
+ * hold compound selectors into a union of selector states. :where() is kept
+ * around every selector of its list so they still add no specificity
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {SelectorState} state The selector state to expand
+ * @returns {SelectorState[]} The selector states that make up the union
+ */
+function expandState(context, state) {
+  let selectorList;
+  const pseudoClassIndex = state.pseudoClasses.findIndex((pseudoClass) => {
+    if (
+      !matchesAnyPseudoClasses.includes(pseudoClass.name) ||
+      !pseudoClass.argument
+    ) {
+      return false;
+    }
+    selectorList = parsedArgument(context, pseudoClass);
+    return (
+      selectorList.every((selector) => selector.state) &&
+      (pseudoClass.name !== 'where' || selectorList.length > 1)
+    );
+  });
+
+  if (pseudoClassIndex === -1) {
+    return [state];
+  }
+
+  const pseudoClass = state.pseudoClasses[pseudoClassIndex];
+  const restState = {
+    ...state,
+    pseudoClasses: state.pseudoClasses.filter(
+      (_pseudoClass, index) => index !== pseudoClassIndex
+    )
+  };
+
+  return selectorList.reduce((expandedStates, selector) => {
+    if (pseudoClass.name === 'where') {
+      expandedStates.push(
+        ...expandState(context, {
+          ...restState,
+          pseudoClasses: [
+            ...restState.pseudoClasses,
+            withParsedArgument({ name: 'where', argument: selector.content }, [
+              selector
+            ])
+          ]
+        })
+      );
+    } else {
+      const intersection = intersects(context, restState, selector.state);
+      if (intersection) {
+        expandedStates.push(...expandState(context, intersection));
+      }
+    }
+    return expandedStates;
+  }, []);
+}
+
+/** @type {string[]} Elements that can't have any children */
+const voidElements = [
+  'area',
+  'base',
+  'br',
+  'col',
+  'embed',
+  'hr',
+  'img',
+  'input',
+  'link',
+  'meta',
+  'param',
+  'source',
+  'track',
+  'wbr'
+];
+
+/**
+ * @typedef {Object} RelativeSelector
+ * @property {' ' | '>' | '+' | '~'} combinator The combinator the relative
+ *   selector starts with
+ * @property {string} content The selector after the combinator
+ * @property {SelectorState} [state] The state of the selector, only when it is
+ *   a compound selector
+ */
+
+/**
+ * Parses the relative selector list given to a :has() pseudo-class
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {string} argument The argument of the :has() pseudo-class
+ * @returns {RelativeSelector[]} The relative selectors in the list
+ */
+function parseRelativeSelectorList(context, argument) {
+  return splitTokensByComma(tokenize(argument)).map((tokens) => {
+    const combinator =
+      tokens[0].type === 'combinator' ? tokens.shift().content : ' ';
+    return {
+      combinator,
+      content: argument.slice(tokens[0].pos[0], tokens.slice(-1)[0].pos[1]),
+      state: tokens.find((token) => token.type === 'combinator')
+        ? undefined
+        : extractInfo(context, tokens, true)
+    };
+  });
+}
+
+/**
+ * Checks if an element that has something matching the first relative
+ * selector always has something matching the second one too
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {RelativeSelector} relativeSelector1 The stricter relative selector
+ * @param {RelativeSelector} relativeSelector2 The looser relative selector
+ * @returns {boolean} Whether the relation is implied or not
+ */
+function impliesRelativeSelector(
+  context,
+  relativeSelector1,
+  relativeSelector2
+) {
+  if (
+    relativeSelector1.combinator !== relativeSelector2.combinator &&
+    !(
+      relativeSelector1.combinator === '>' &&
+      relativeSelector2.combinator === ' '
+    ) &&
+    !(
+      relativeSelector1.combinator === '+' &&
+      relativeSelector2.combinator === '~'
+    )
+  ) {
+    return false;
+  } else if (relativeSelector1.content === relativeSelector2.content) {
+    return true;
+  }
+  return (
+    !!relativeSelector1.state &&
+    !!relativeSelector2.state &&
+    isStateSubset(context, relativeSelector1.state, relativeSelector2.state)
+  );
+}
+
+/**
+ * Checks the :has() pseudo-classes against the rest of a selector state and
+ * against each other. A :has() that needs children can't match :empty or void
+ * elements, and a :has() implied by a stricter one is dropped
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {SelectorState} state The selector state without any :has()
+ * @param {SelectorState['pseudoClasses']} hasPseudoClasses The :has()
+ *   pseudo-classes to check
+ * @returns {SelectorState['pseudoClasses'] | false} The :has() pseudo-classes
+ *   that are still needed or false if they contradict the state
+ */
+function intersectsHasPseudoClasses(context, state, hasPseudoClasses) {
+  const cannotHaveChildren =
+    state.pseudoClasses.find((pseudoClass) => pseudoClass.name === 'empty') ||
+    (state.type && voidElements.includes(state.type.toLowerCase()));
+
+  const relations = [];
+  for (const hasPseudoClass of hasPseudoClasses) {
+    const relativeSelectors = parsedArgument(context, hasPseudoClass);
+    if (
+      cannotHaveChildren &&
+      relativeSelectors.every((relativeSelector) =>
+        [' ', '>'].includes(relativeSelector.combinator)
+      )
+    ) {
+      return false;
+    }
+    relations.push({ hasPseudoClass, relativeSelectors });
+  }
+
+  // A :has() implies another one if every relative selector in its list implies one in the other list
+  const impliesRelation = (relation1, relation2) =>
+    relation1.relativeSelectors.every((relativeSelector1) =>
+      relation2.relativeSelectors.find((relativeSelector2) =>
+        impliesRelativeSelector(context, relativeSelector1, relativeSelector2)
+      )
+    );
+
+  return relations
+    .filter(
+      (relation, relationIndex) =>
+        !relations.find(
+          (otherRelation, otherRelationIndex) =>
+            otherRelationIndex !== relationIndex &&
+            impliesRelation(otherRelation, relation) &&
+            (otherRelationIndex < relationIndex ||
+              !impliesRelation(relation, otherRelation))
+        )
+    )
+    .map((relation) => relation.hasPseudoClass);
+}
+
+/**
+ * Gives the argument of a pseudo-class or pseudo-element that takes a compound
+ * selector, such as :host() and ::slotted()
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {{ name: string; argument?: string }} pseudo The pseudo-class or
+ *   pseudo-element
+ * @returns {SelectorState | undefined} The state of the compound selector, or
+ *   undefined if the argument isn't a single compound selector
+ */
+function compoundArgument(context, pseudo) {
+  const selectorList = parsedArgument(context, pseudo);
+  return selectorList.length === 1 ? selectorList[0].state : undefined;
+}
+
+/**
+ * Gives the part names in the argument of ::part()
+ *
+ * @param {string} argument The argument
+ * @returns {string[]} The part names
+ */
+function partNames(argument) {
+  return argument.trim().split(/\s+/);
+}
+
+/**
+ * Checks if the pseudo-elements of a selector state only match what the ones of
+ * another state match. A state without pseudo-elements only constrains the
+ * originating element, so it covers the pseudo-elements of the elements it
+ * matches. The arguments of ::slotted() are compared as compound selectors and
+ * the ones of ::part() as sets of part names, while pseudo-classes are compared
+ * literally
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {PseudoElement[]} [pseudoElements1=[]] The pseudo-elements that could
+ *   be a subset. Default is `[]`
+ * @param {PseudoElement[]} [pseudoElements2=[]] The pseudo-elements that could
+ *   be a superset. Default is `[]`
+ * @returns {boolean} Whether the first pseudo-elements are a subset or not
+ */
+function isPseudoElementSubset(
+  context,
+  pseudoElements1 = [],
+  pseudoElements2 = []
+) {
+  return (
+    pseudoElements2.length === 0 ||
+    (pseudoElements1.length === pseudoElements2.length &&
+      pseudoElements2.every((pseudoElement2, pseudoElementIndex) => {
+        const pseudoElement1 = pseudoElements1[pseudoElementIndex];
+        if (pseudoElement1.name !== pseudoElement2.name) {
+          return false;
+        } else if (pseudoElement1.argument !== pseudoElement2.argument) {
+          if (
+            pseudoElement1.argument === undefined ||
+            pseudoElement2.argument === undefined
+          ) {
+            return false;
+          } else if (pseudoElement1.name === 'slotted') {
+            const state1 = compoundArgument(context, pseudoElement1);
+            const state2 = compoundArgument(context, pseudoElement2);
+            if (!state1 || !state2 || !isStateSubset(context, state1, state2)) {
+              return false;
+            }
+          } else if (pseudoElement1.name === 'part') {
+            const names1 = partNames(pseudoElement1.argument);
+            if (
+              !partNames(pseudoElement2.argument).every((name) =>
+                names1.includes(name)
+              )
+            ) {
+              return false;
+            }
+          } else {
+            return false;
+          }
+        }
+
+        return pseudoElement2.pseudoClasses.every((pseudoClass) =>
+          pseudoElement1.pseudoClasses.find(
+            (candidate) =>
+              candidate.name === pseudoClass.name &&
+              candidate.argument === pseudoClass.argument
+          )
+        );
+      }))
+  );
+}
+
+/**
+ * Intersects the arguments of the same pseudo-element of two selector states.
+ * ::slotted() matches the elements both compound selectors match and ::part()
+ * the elements with all the part names, while other pseudo-elements with
+ * different arguments are different pseudo-elements
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {PseudoElement} pseudoElement1 The first pseudo-element
+ * @param {PseudoElement} pseudoElement2 The second pseudo-element
+ * @returns {{ argument?: string; selectorList?: any[] } | false} The argument
+ *   of the intersection, with the selectors in it for ::slotted() (see
+ *   `parsedArgument`), false if they don't intersect
+ */
+function intersectsPseudoElementArguments(
+  context,
+  pseudoElement1,
+  pseudoElement2
+) {
+  if (pseudoElement1.argument === pseudoElement2.argument) {
+    return {
+      argument: pseudoElement1.argument,
+      selectorList: parsedArguments.get(pseudoElement1)
+    };
+  } else if (
+    pseudoElement1.argument === undefined ||
+    pseudoElement2.argument === undefined
+  ) {
+    return false;
+  } else if (pseudoElement1.name === 'slotted') {
+    const state1 = compoundArgument(context, pseudoElement1);
+    const state2 = compoundArgument(context, pseudoElement2);
+    const intersection =
+      state1 && state2 && intersects(context, state1, state2);
+    if (!intersection) {
+      return false;
+    }
+    const argument = stringifyState(context, intersection);
+    return {
+      argument,
+      selectorList: [{ content: argument, state: intersection }]
+    };
+  } else if (pseudoElement1.name === 'part') {
+    const names1 = partNames(pseudoElement1.argument);
+    return {
+      argument: names1
+        .concat(
+          partNames(pseudoElement2.argument).filter(
+            (name) => !names1.includes(name)
+          )
+        )
+        .join(' ')
+    };
+  }
+  return false;
+}
+
+/**
+ * Intersects the pseudo-elements of two selector states. A state without any
+ * takes the ones of the other state, or else they have to be the same
+ * pseudo-elements, and the pseudo-classes after each one are combined
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {PseudoElement[]} [pseudoElements1=[]] The first pseudo-elements.
+ *   Default is `[]`
+ * @param {PseudoElement[]} [pseudoElements2=[]] The second pseudo-elements.
+ *   Default is `[]`
+ * @returns {PseudoElement[] | false} False if they don't intersect, or else the
+ *   combined pseudo-elements
+ */
+function intersectsPseudoElements(
+  context,
+  pseudoElements1 = [],
+  pseudoElements2 = []
+) {
+  if (pseudoElements1.length === 0 || pseudoElements2.length === 0) {
+    return pseudoElements1.concat(pseudoElements2);
+  } else if (pseudoElements1.length !== pseudoElements2.length) {
+    return false;
+  }
+
+  const pseudoElements = [];
+  for (const [index, pseudoElement] of pseudoElements1.entries()) {
+    const intersection =
+      pseudoElement.name === pseudoElements2[index].name &&
+      intersectsPseudoElementArguments(
+        context,
+        pseudoElement,
+        pseudoElements2[index]
+      );
+    if (!intersection) {
+      return false;
+    }
+
+    pseudoElements.push(
+      withParsedArgument(
+        {
+          ...pseudoElement,
+          argument: intersection.argument,
+          pseudoClasses: pseudoElement.pseudoClasses.concat(
+            pseudoElements2[index].pseudoClasses.filter(
+              (pseudoClass) =>
+                !pseudoElement.pseudoClasses.find(
+                  (otherPseudoClass) =>
+                    otherPseudoClass.name === pseudoClass.name &&
+                    otherPseudoClass.argument === pseudoClass.argument
+                )
+            )
+          )
+        },
+        intersection.selectorList
+      )
+    );
+  }
+  for (const pseudoElement of pseudoElements) {
+    const pseudoClassNames = pseudoElement.pseudoClasses.map(
+      (pseudoClass) => pseudoClass.name
+    );
+    if (
+      oppositePseudoClasses.find(
+        (oppositePseudoClass) =>
+          pseudoClassNames.includes(oppositePseudoClass[0]) &&
+          pseudoClassNames.includes(oppositePseudoClass[1])
+      )
+    ) {
+      return false;
+    }
+  }
+
+  return pseudoElements;
+}
+
+/**
+ * Checks if a selector state only matches the shadow host
+ *
+ * @param {SelectorState} state The selector state
+ * @returns {boolean} Whether the state has a :host pseudo-class or not
+ */
+function isHostState(state) {
+  return !!state.pseudoClasses.find((pseudoClass) =>
+    hostPseudoClasses.includes(pseudoClass.name)
+  );
+}
+
+/**
+ * Combines the :host and :host() pseudo-classes of a selector state into one
+ * with the intersection of their arguments. The shadow host is featureless
+ * from inside its shadow tree, so it has no type or attributes to match
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {SelectorState} state The selector state
+ * @returns {SelectorState['pseudoClasses'] | false} The pseudo-classes of the
+ *   state with the :host ones combined or false if the state can't match
+ */
+function intersectsHostPseudoClasses(context, state) {
+  if (!isHostState(state)) {
+    return state.pseudoClasses;
+  } else if (
+    (state.type && state.type !== '*') ||
+    state.attributes.length > 0
+  ) {
+    return false;
+  }
+
+  let hostState = { pseudoClasses: [], attributes: [] };
+  let hostIndex = -1;
+  const pseudoClasses = [];
+  for (const pseudoClass of state.pseudoClasses) {
+    const argumentState =
+      pseudoClass.name === 'host' &&
+      (pseudoClass.argument ? compoundArgument(context, pseudoClass) : {});
+    if (!argumentState) {
+      pseudoClasses.push(pseudoClass);
+      continue;
+    } else if (hostIndex === -1) {
+      hostIndex = pseudoClasses.length;
+    }
+
+    if (pseudoClass.argument) {
+      hostState = intersects(context, hostState, argumentState);
+      if (!hostState) {
+        return false;
+      }
+    }
+  }
+
+  if (hostIndex !== -1) {
+    const argument = stringifyState(context, hostState);
+    pseudoClasses.splice(
+      hostIndex,
+      0,
+      argument === '*'
+        ? { name: 'host' }
+        : withParsedArgument({ name: 'host', argument }, [
+            { content: argument, state: hostState }
+          ])
+    );
+  }
+  return pseudoClasses;
+}
+
+/**
+ * Checks if the shadow host is only where it can be in a branch. It is the
+ * root of its shadow tree, so it has no ancestors or siblings there
+ *
+ * @param {SiblingGroup[]} siblingGroups The sibling groups of the branch
+ * @returns {boolean} Whether the branch can match or not
+ */
+function isHostPlacementValid(siblingGroups) {
+  return siblingGroups.every((siblingGroup, siblingGroupIndex) =>
+    siblingGroup.states.every(
+      (state) =>
+        !isHostState(state) ||
+        (siblingGroupIndex === 0 && siblingGroup.states.length === 1)
+    )
+  );
+}
+
+/**
+ * Checks if two selector states have an intersection
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {SelectorState} token1 The first selector state
+ * @param {SelectorState} token2 The second selector state
+ * @returns {SelectorState | false} False if they don't intersect, or else a
+ *   selector state
+ */
+function intersects(context, token1, token2) {
+  /** @type {SelectorState} */
+  const finalState = {};
+
+  if (
+    isNamespaced(token1.namespace) &&
+    isNamespaced(token2.namespace) &&
+    token1.namespace !== token2.namespace
+  ) {
+    return false;
+  } else if (isNamespaced(token1.namespace)) {
+    finalState.namespace = token1.namespace;
+  } else if (isNamespaced(token2.namespace)) {
+    finalState.namespace = token2.namespace;
+  } else if (token1.namespace || token2.namespace) {
+    finalState.namespace = '*';
+  }
+
+  if (token1.type !== token2.type) {
+    if (
+      token1.type &&
+      token2.type &&
+      token1.type !== '*' &&
+      token2.type !== '*'
+    ) {
+      return false;
+    }
+  } else {
+    finalState.type = token1.type || token2.type;
+  }
+
+  if (!finalState.type) {
+    if (token1.type && token1.type !== '*') {
+      finalState.type = token1.type;
+    } else if (token2.type && token2.type !== '*') {
+      finalState.type = token2.type;
+    } else if (token1.type || token2.type) {
+      finalState.type = '*';
+    }
+  }
+
+  const pseudoElements = intersectsPseudoElements(
+    context,
+    token1.pseudoElements,
+    token2.pseudoElements
+  );
+  if (!pseudoElements) {
+    return false;
+  } else if (pseudoElements.length > 0) {
+    finalState.pseudoElements = pseudoElements;
+  }
+
+  finalState.pseudoClasses = [
+    ...new Set(token1.pseudoClasses.concat(token2.pseudoClasses))
+  ];
+  finalState.attributes = Object.values(
+    groupArray([...token1.attributes, ...token2.attributes], 'key')
+  ).map((attributeGroup) => intersectsAttributes(...attributeGroup));
+
+  if (finalState.attributes.includes(false)) {
+    return false;
+  } else {
+    const attributes = [];
+    mergeArrays(attributes, ...finalState.attributes);
+    finalState.attributes = attributes;
+  }
+
+  let notPseudoClasses = [];
+  let wherePseudoClasses = [];
+  let hasPseudoClasses = [];
+  finalState.pseudoClasses = finalState.pseudoClasses.reduce(
+    (acc, nextPseudoClass) => {
+      if (nextPseudoClass.name === 'where' && nextPseudoClass.argument) {
+        wherePseudoClasses.push(nextPseudoClass);
+      } else if (nextPseudoClass.name === 'has' && nextPseudoClass.argument) {
+        hasPseudoClasses.push(nextPseudoClass);
+      } else if (nextPseudoClass.name !== 'not') {
+        acc.push(nextPseudoClass);
+      } else if (nextPseudoClass.argument) {
+        notPseudoClasses.push(nextPseudoClass);
+      }
+      return acc;
+    },
+    []
+  );
+
+  let dirs = [];
+  let langs = [];
+  finalState.pseudoClasses.forEach((pseudoClass) => {
+    if (pseudoClass.name === 'dir') {
+      dirs.push(pseudoClass.argument);
+    } else if (pseudoClass.name === 'lang') {
+      langs.push(pseudoClass.argument);
+    }
+  });
+  if (dirs.length > 1) {
+    for (const dir of dirs) {
+      if (dir !== dirs[0]) {
+        return false;
+      }
+    }
+    const firstOccurrence = finalState.pseudoClasses.findIndex(
+      (pseudoClass) => pseudoClass.name === 'dir'
+    );
+    finalState.pseudoClasses = finalState.pseudoClasses.filter(
+      (pseudoClass, pseudoClassIndex) => {
+        if (
+          pseudoClassIndex !== firstOccurrence &&
+          pseudoClass.name === 'dir'
+        ) {
+          return false;
+        }
+        return true;
+      }
+    );
+  }
+  if (langs.length > 1) {
+    for (const lang of langs) {
+      if (lang !== langs[0]) {
+        return false;
+      }
+    }
+    const firstOccurrence = finalState.pseudoClasses.findIndex(
+      (pseudoClass) => pseudoClass.name === 'lang'
+    );
+    finalState.pseudoClasses = finalState.pseudoClasses.filter(
+      (pseudoClass, pseudoClassIndex) => {
+        if (
+          pseudoClassIndex !== firstOccurrence &&
+          pseudoClass.name === 'lang'
+        ) {
+          return false;
+        }
+        return true;
+      }
+    );
+  }
+
+  finalState.pseudoClasses = intersectsNthPseudoClasses(
+    finalState.pseudoClasses
+  );
+  if (!finalState.pseudoClasses) {
+    return false;
+  }
+
+  const pseudoClassNames = finalState.pseudoClasses.map(
+    (pseudoClass) => pseudoClass.name
+  );
+  for (const oppositePseudoClass of oppositePseudoClasses) {
+    if (
+      pseudoClassNames.includes(oppositePseudoClass[0]) &&
+      pseudoClassNames.includes(oppositePseudoClass[1])
+    ) {
+      return false;
+    }
+  }
+
+  finalState.pseudoClasses = intersectsHostPseudoClasses(context, finalState);
+  if (!finalState.pseudoClasses) {
+    return false;
+  }
+
+  let staticPseudoClasses = [];
+  finalState.pseudoClasses = finalState.pseudoClasses.reduce(
+    (acc, nextPseudoClass) => {
+      if (nextPseudoClass.argument) {
+        acc.push(nextPseudoClass);
+      } else {
+        if (!staticPseudoClasses.includes(nextPseudoClass.name)) {
+          staticPseudoClasses.push(nextPseudoClass.name);
+          acc.push(nextPseudoClass);
+        }
+      }
+      return acc;
+    },
+    []
+  );
+
+  wherePseudoClasses = intersectsWherePseudoClasses(
+    context,
+    finalState,
+    wherePseudoClasses
+  );
+  if (!wherePseudoClasses) {
+    return false;
+  }
+
+  // The relations and negations have to hold along with what :where() asserts
+  let positiveState = finalState;
+  for (const wherePseudoClass of wherePseudoClasses) {
+    const selectorList = parsedArgument(context, wherePseudoClass);
+    if (selectorList.length === 1 && selectorList[0].state) {
+      positiveState = intersects(context, positiveState, selectorList[0].state);
+    }
+  }
+
+  hasPseudoClasses = intersectsHasPseudoClasses(
+    context,
+    positiveState,
+    hasPseudoClasses
+  );
+  if (!hasPseudoClasses) {
+    return false;
+  }
+
+  notPseudoClasses = intersectsNotPseudoClasses(
+    context,
+    positiveState,
+    notPseudoClasses
+  );
+  if (!notPseudoClasses) {
+    return false;
+  }
+  finalState.pseudoClasses = finalState.pseudoClasses.concat(
+    wherePseudoClasses,
+    hasPseudoClasses,
+    notPseudoClasses
+  );
+
+  return finalState;
+}
+
+/**
+ * @typedef {Object} SiblingStep
+ * @property {SelectorState} state The state of the sibling
+ * @property {'+' | '~'} combinator The combinator between this sibling and the
+ *   sibling that comes right after it
+ */
+
+/**
+ * Finds every way two chains of preceding siblings can be laid out next to each
+ * other. Both chains start from the same element and go backwards, so the first
+ * step of a chain is the closest sibling.
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {SiblingStep[]} chain1 The first chain of siblings
+ * @param {SiblingStep[]} chain2 The second chain of siblings
+ * @returns {SiblingStep[][]} Every merged chain, empty if they can't be merged
+ */
+function mergeSiblingChains(context, chain1, chain2) {
+  if (chain1.length === 0) {
+    return [chain2];
+  } else if (chain2.length === 0) {
+    return [chain1];
+  }
+
+  const [step1, ...rest1] = chain1;
+  const [step2, ...rest2] = chain2;
+  const results = [];
+
+  // Both steps are the same element, this is the only option if both are adjacent
+  const intersection = intersects(context, step1.state, step2.state);
+  if (intersection) {
+    const combinator =
+      step1.combinator === '+' || step2.combinator === '+' ? '+' : '~';
+    mergeSiblingChains(context, rest1, rest2).forEach((mergedChain) => {
+      results.push([{ state: intersection, combinator }, ...mergedChain]);
+    });
+  }
+
+  // The first step comes closer than the second one, only possible if the second one isn't adjacent
+  if (step2.combinator === '~') {
+    mergeSiblingChains(context, rest1, chain2).forEach((mergedChain) => {
+      results.push([step1, ...mergedChain]);
+    });
+  }
+
+  // The second step comes closer than the first one
+  if (step1.combinator === '~') {
+    mergeSiblingChains(context, chain1, rest2).forEach((mergedChain) => {
+      results.push([step2, ...mergedChain]);
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Stringifies a list of pseudo-classes
+ *
+ * @param {{ name: string; argument?: string }[]} pseudoClasses The
+ *   pseudo-classes to stringify
+ * @returns {string} The stringified pseudo-classes
+ */
+function stringifyPseudoClasses(pseudoClasses) {
+  return pseudoClasses
+    .map(
+      (pseudoClass) =>
+        `:${escapeIdentifier(pseudoClass.name)}${
+          pseudoClass.argument ? `(${pseudoClass.argument})` : ''
+        }`
+    )
+    .join('');
+}
+
+/**
+ * Checks if an attribute selector is written with the `#id` or `.class`
+ * shorthand when stringified, which only matches case-sensitively outside of
+ * quirks mode
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {SelectorState['attributes'][number]} attribute The attribute
+ *   selector
+ * @param {'id' | 'class'} key The attribute the shorthand is for
+ * @returns {boolean} Whether it is written with the shorthand
+ */
+function isShorthandAttribute(context, attribute, key) {
+  return (
+    attribute.key === key &&
+    attribute.operator === (key === 'id' ? '=' : '~=') &&
+    !attribute.flag &&
+    attribute.caseSensitive === (context.documentLanguage !== 'html-quirks')
+  );
+}
+
+/**
+ * Stringifies the state of a selector
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {SelectorState} state The state to stringify
+ * @returns {string} The stringified selector
+ */
+function stringifyState(context, state) {
+  let result = '';
+
+  const type =
+    state.type && state.type !== '*' ? escapeIdentifier(state.type) : '*';
+  const prefix = namespacePrefix(context, state.namespace, true);
+  if (prefix !== undefined) {
+    result = `${escapePrefix(prefix)}|${type}`;
+  } else if (state.type) {
+    result = type;
+  }
+
+  const classes = [];
+  const ids = [];
+  let attributeResult = '';
+  state.attributes.forEach((attribute) => {
+    // The flag given is kept, otherwise one is only needed to change the default
+    let flag = attribute.flag;
+    if (
+      !flag &&
+      attribute.caseSensitive ===
+        isCaseInsensitiveByDefault(context, attribute.key)
+    ) {
+      flag = attribute.caseSensitive ? 's' : 'i';
+    }
+    const flagResult = flag ? ` ${flag}` : '';
+
+    if (isShorthandAttribute(context, attribute, 'class')) {
+      classes.push(attribute.value);
+    } else if (isShorthandAttribute(context, attribute, 'id')) {
+      ids.push(attribute.value);
+    } else {
+      const [attributePrefix, name] = splitAttributeKey(attribute.key);
+      const key = `${
+        attributePrefix !== undefined ? `${escapePrefix(attributePrefix)}|` : ''
+      }${escapeIdentifier(name)}`;
+      attributeResult +=
+        attribute.operator === ''
+          ? `[${key}]`
+          : `[${key}${attribute.operator}${serializeString(
+              attribute.value
+            )}${flagResult}]`;
+    }
+  });
+
+  classes.forEach((cssClass) => {
+    result += `.${escapeIdentifier(cssClass)}`;
+  });
+
+  result = result + attributeResult;
+
+  result += stringifyPseudoClasses(state.pseudoClasses);
+
+  ids.forEach((id) => {
+    result += `#${escapeIdentifier(id)}`;
+  });
+
+  // Pseudo-elements have to come last, followed by their own pseudo-classes
+  (state.pseudoElements || []).forEach((pseudoElement) => {
+    result += `::${escapeIdentifier(pseudoElement.name)}${
+      pseudoElement.argument !== undefined ? `(${pseudoElement.argument})` : ''
+    }${stringifyPseudoClasses(pseudoElement.pseudoClasses)}`;
+  });
+
+  return result === '' ? '*' : result;
+}
+
+/**
+ * Stringifies a group of siblings along with the combinator that comes after
+ * it
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {{
+ *   states: SelectorState[];
+ *   siblingCombinators: ('+' | '~')[];
+ *   combinator: '' | ' ' | '>';
+ * }} siblingGroup
+ *   The sibling group to stringify
+ * @returns {string} The stringified sibling group
+ */
+function stringifySiblingGroup(context, siblingGroup) {
+  return `${siblingGroup.states
+    .map(
+      (state, stateIndex) =>
+        `${
+          stateIndex === 0
+            ? ''
+            : ` ${siblingGroup.siblingCombinators[stateIndex - 1]} `
+        }${stringifyState(context, state)}`
+    )
+    .join('')}${
+    siblingGroup.combinator !== ''
+      ? `${siblingGroup.combinator === '>' ? ' > ' : ' '}`
+      : ''
+  }`;
+}
+
+/**
+ * Converts a sibling group of a reversed selector into a left to right sibling
+ * group
+ *
+ * @param {{
+ *   tokens: SelectorState[];
+ *   combinators: ('+' | '~')[];
+ * }} parsedSiblingGroup
+ *   The reversed sibling group
+ * @param {'' | ' ' | '>'} combinator The combinator that comes after the group
+ */
+function toSiblingGroup(parsedSiblingGroup, combinator) {
+  return {
+    states: Array.from(parsedSiblingGroup.tokens).reverse(),
+    siblingCombinators: Array.from(parsedSiblingGroup.combinators).reverse(),
+    combinator
+  };
+}
+
+/**
+ * Converts a reversed selector into its left to right sibling groups
+ *
+ * @param {{
+ *   type: '' | 'parent' | 'ancestor';
+ *   tokens: SelectorState[];
+ *   combinators: ('+' | '~')[];
+ * }[]} parsedSelector
+ *   The reversed selector
+ * @returns {SiblingGroup[]} The sibling groups from left to right
+ */
+function fromParsedSelector(parsedSelector) {
+  return parsedSelector
+    .map((parsedSiblingGroup) =>
+      toSiblingGroup(
+        parsedSiblingGroup,
+        parsedSiblingGroup.type === 'parent'
+          ? '>'
+          : parsedSiblingGroup.type === 'ancestor'
+          ? ' '
+          : ''
+      )
+    )
+    .reverse();
+}
+
+/**
+ * Parses the tokens of a selector without any comma-separated parts into a
+ * reversed list of sibling groups. Reversing because the end result lies in
+ * the end part of the selector, the starting can be a parent or the result
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {any[]} tokens The tokens of the selector
+ * @param {boolean} [isArgument=false] Whether the selector is in the argument
+ *   of a pseudo-class, see `extractInfo`. Default is `false`
+ * @returns {{
+ *   type: '' | 'parent' | 'ancestor';
+ *   tokens: SelectorState[];
+ *   combinators: ('+' | '~')[];
+ * }[]} The sibling groups, starting from the one with the result
+ */
+function parseComplexSelector(context, tokens, isArgument = false) {
+  // Group siblings and split by combinators
+  const parsedSelector = Array.from(tokens)
+    .reverse()
+    .reduce(
+      (accumulatorParts, part) =>
+        part.type === 'combinator'
+          ? ['~', '+'].includes(part.content)
+            ? [
+                ...accumulatorParts.slice(0, -1),
+                {
+                  type: accumulatorParts.slice(-1)[0].type,
+                  tokens: [...accumulatorParts.slice(-1)[0].tokens, []],
+                  combinators: [
+                    ...accumulatorParts.slice(-1)[0].combinators,
+                    part.content
+                  ]
+                }
+              ]
+            : [
+                ...accumulatorParts,
+                {
+                  type: part.content === '>' ? 'parent' : 'ancestor',
+                  tokens: [],
+                  combinators: []
+                }
+              ]
+          : [
+              ...accumulatorParts.slice(0, -1),
+              {
+                ...accumulatorParts.slice(-1)[0],
+                tokens: [
+                  ...accumulatorParts.slice(-1)[0].tokens.slice(0, -1),
+                  [
+                    ...(accumulatorParts.slice(-1)[0].tokens.slice(-1)[0] ||
+                      []),
+                    part
+                  ]
+                ]
+              }
+            ],
+      [{ type: '', tokens: [], combinators: [] }]
+    );
+
+  // Extract info as an object for tokens, which are back in their order as the
+  // pseudo-classes after a pseudo-element belong to it
+  return parsedSelector.map((parsedSelectorSiblingGroup) => ({
+    ...parsedSelectorSiblingGroup,
+    tokens: parsedSelectorSiblingGroup.tokens.map((sibling) =>
+      extractInfo(context, [...sibling].reverse(), isArgument)
+    )
+  }));
+}
+
+/**
+ * @type {Map<string, ReturnType<typeof parseComplexSelector>[]> | null} The
+ *   parsed selectors to reuse, see `setCache`
+ */
+let parseCache = null;
+
+/**
+ * Parses a selector into its comma-separated parts
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {string} selector The selector to parse
+ * @returns {ReturnType<typeof parseComplexSelector>[]} The comma-separated
+ *   parts, see `parseComplexSelector`
+ * @throws {Error} When the selector isn't valid
+ */
+function parseSelector(context, selector) {
+  const cacheKey = `${context.cacheKey}\n${selector}`;
+  if (parseCache && parseCache.has(cacheKey)) {
+    return parseCache.get(cacheKey);
+  }
+
+  const tokens = tokenize(selector);
+  if (tokens.length === 0) {
+    throw new Error('Expected a selector');
+  }
+
+  const parsedSelector = splitTokensByComma(tokens).map((complexTokens) =>
+    parseComplexSelector(context, complexTokens)
+  );
+  if (parseCache) {
+    parseCache.set(cacheKey, parsedSelector);
+  }
+  return parsedSelector;
+}
+
+/**
+ * Sets where parsed selectors are kept so they aren't parsed again, which
+ * helps when the same selectors are intersected many times
+ *
+ * @param {Map<string, any> | null} cache The map to keep parsed selectors in,
+ *   or null to stop caching
+ */
+function setCache(cache) {
+  parseCache = cache;
+}
+
+/**
+ * Expands the :is() and :where() pseudo-classes of a reversed selector into
+ * the reversed selectors that make up its union
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {{
+ *   type: string;
+ *   tokens: SelectorState[];
+ *   combinators: ('+' | '~')[];
+ * }[]} parsedSelector
+ *   The reversed selector to expand
+ * @returns {typeof parsedSelector[]} The selectors of the union
+ */
+function expandParsedSelector(context, parsedSelector) {
+  return cartesianProduct(
+    parsedSelector.map((parsedSiblingGroup) =>
+      cartesianProduct(
+        parsedSiblingGroup.tokens.map((token) => expandState(context, token))
+      ).map((tokens) => ({ ...parsedSiblingGroup, tokens }))
+    )
+  ).flatMap((expandedSelector) =>
+    expandComplexArguments(context, expandedSelector)
+  );
+}
+
+/**
+ * Expands the :is() pseudo-classes holding complex selectors in a reversed
+ * selector into the reversed selectors that make up its union. The part of the
+ * selector up to the compound is intersected with each selector of the list,
+ * so their subject merges into the compound. :where() is left as it is, as
+ * expanding it would add specificity, see `intersectsWherePseudoClasses`
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {ReturnType<typeof parseComplexSelector>} parsedSelector The reversed
+ *   selector to expand
+ * @returns {ReturnType<typeof parseComplexSelector>[]} The selectors of the
+ *   union
+ */
+function expandComplexArguments(context, parsedSelector) {
+  for (const [groupIndex, parsedSiblingGroup] of parsedSelector.entries()) {
+    for (const [tokenIndex, state] of parsedSiblingGroup.tokens.entries()) {
+      const pseudoClassIndex = state.pseudoClasses.findIndex(
+        (pseudoClass) =>
+          matchesAnyPseudoClasses.includes(pseudoClass.name) &&
+          pseudoClass.name !== 'where' &&
+          pseudoClass.argument &&
+          parsedArgument(context, pseudoClass).find(
+            (selector) => selector.parsed
+          )
+      );
+      if (pseudoClassIndex === -1) {
+        continue;
+      }
+
+      // The compound without the :is(), with its preceding siblings and what comes before them
+      const prefix = [
+        {
+          type: '',
+          tokens: [
+            {
+              ...state,
+              pseudoClasses: state.pseudoClasses.filter(
+                (_pseudoClass, index) => index !== pseudoClassIndex
+              )
+            },
+            ...parsedSiblingGroup.tokens.slice(tokenIndex + 1)
+          ],
+          combinators: parsedSiblingGroup.combinators.slice(tokenIndex)
+        },
+        ...parsedSelector.slice(groupIndex + 1)
+      ];
+
+      return parsedArgument(context, state.pseudoClasses[pseudoClassIndex])
+        .flatMap((selector) =>
+          intersectParsedSelectors(context, [
+            prefix,
+            selector.parsed || [
+              { type: '', tokens: [selector.state], combinators: [] }
+            ]
+          ])
+        )
+        .flatMap((branch) => {
+          const [subjectGroup, ...parsedSiblingGroups] =
+            toParsedSelector(branch);
+          return expandParsedSelector(context, [
+            ...parsedSelector.slice(0, groupIndex),
+            {
+              type: parsedSiblingGroup.type,
+              tokens: [
+                ...parsedSiblingGroup.tokens.slice(0, tokenIndex),
+                ...subjectGroup.tokens
+              ],
+              combinators: [
+                ...parsedSiblingGroup.combinators.slice(0, tokenIndex),
+                ...subjectGroup.combinators
+              ]
+            },
+            ...parsedSiblingGroups
+          ]);
+        });
+    }
+  }
+
+  return [parsedSelector];
+}
+
+/**
+ * Puts selector states that make up a union into a single selector state with
+ * the parts they don't have in common in an :is() (or a :where() if that is
+ * all they differ by)
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {SelectorState[]} states The selector states to fold
+ * @returns {SelectorState | null} The folded selector state or null if the
+ *   states can't be folded
+ */
+function foldStates(context, states) {
+  if (
+    states.find(
+      (state) =>
+        JSON.stringify(state.pseudoElements || []) !==
+        JSON.stringify(states[0].pseudoElements || [])
+    )
+  ) {
+    return null;
+  }
+
+  const commonType = states.every(
+    (state) =>
+      state.type === states[0].type && state.namespace === states[0].namespace
+  );
+  const commonAttributes = states[0].attributes.filter((attribute) =>
+    states.every((state) =>
+      state.attributes.find(
+        (otherAttribute) =>
+          otherAttribute.key === attribute.key &&
+          otherAttribute.operator === attribute.operator &&
+          otherAttribute.value === attribute.value &&
+          otherAttribute.caseSensitive === attribute.caseSensitive
+      )
+    )
+  );
+  const commonPseudoClasses = states[0].pseudoClasses.filter((pseudoClass) =>
+    states.every((state) =>
+      state.pseudoClasses.find(
+        (otherPseudoClass) =>
+          otherPseudoClass.name === pseudoClass.name &&
+          otherPseudoClass.argument === pseudoClass.argument
+      )
+    )
+  );
+
+  const restStates = states.map((state) => ({
+    type: commonType ? undefined : state.type,
+    namespace: commonType ? undefined : state.namespace,
+    attributes: state.attributes.filter(
+      (attribute) =>
+        !commonAttributes.find(
+          (commonAttribute) =>
+            commonAttribute.key === attribute.key &&
+            commonAttribute.operator === attribute.operator &&
+            commonAttribute.value === attribute.value &&
+            commonAttribute.caseSensitive === attribute.caseSensitive
+        )
+    ),
+    pseudoClasses: state.pseudoClasses.filter(
+      (pseudoClass) =>
+        !commonPseudoClasses.find(
+          (commonPseudoClass) =>
+            commonPseudoClass.name === pseudoClass.name &&
+            commonPseudoClass.argument === pseudoClass.argument
+        )
+    )
+  }));
+  const restSelectors = restStates.map((restState) =>
+    stringifyState(context, restState)
+  );
+
+  // A state with nothing left covers all the others, which isn't for folding to decide
+  if (restSelectors.includes('')) {
+    return null;
+  }
+
+  const onlyWhere = restStates.every(
+    (restState) =>
+      restState.attributes.length === 0 &&
+      restState.pseudoClasses.length === 1 &&
+      restState.pseudoClasses[0].name === 'where' &&
+      (!restState.type || restState.type === '*')
+  );
+
+  return {
+    type: commonType ? states[0].type : undefined,
+    namespace: commonType ? states[0].namespace : undefined,
+    pseudoElements: states[0].pseudoElements,
+    attributes: commonAttributes,
+    pseudoClasses: [
+      ...commonPseudoClasses,
+      onlyWhere
+        ? {
+            name: 'where',
+            argument: restStates
+              .map((restState) => restState.pseudoClasses[0].argument)
+              .join(', ')
+          }
+        : { name: 'is', argument: restSelectors.join(', ') }
+    ]
+  };
+}
+
+/**
+ * Folds branches of a union that only differ by one selector state into a
+ * single branch with an :is(), as long as that makes the selector shorter
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {{
+ *   states: SelectorState[];
+ *   siblingCombinators: ('+' | '~')[];
+ *   combinator: '' | ' ' | '>';
+ * }[][]} branches
+ *   The branches of the union, as lists of sibling groups
+ * @returns {typeof branches} The folded branches
+ */
+function foldBranches(context, branches) {
+  const stringifyBranch = (branch) =>
+    branch
+      .map((siblingGroup) => stringifySiblingGroup(context, siblingGroup))
+      .join('');
+
+  let folded = true;
+  while (folded) {
+    folded = false;
+
+    const statePositions = [];
+    branches.forEach((branch) => {
+      branch.forEach((siblingGroup, siblingGroupIndex) => {
+        siblingGroup.states.forEach((_state, stateIndex) => {
+          if (
+            !statePositions.find(
+              (statePosition) =>
+                statePosition[0] === siblingGroupIndex &&
+                statePosition[1] === stateIndex
+            )
+          ) {
+            statePositions.push([siblingGroupIndex, stateIndex]);
+          }
+        });
+      });
+    });
+
+    for (const [siblingGroupIndex, stateIndex] of statePositions) {
+      // Group the branches that are the same everywhere except at this position
+      const groups = {};
+      branches.forEach((branch) => {
+        if (
+          !branch[siblingGroupIndex] ||
+          !branch[siblingGroupIndex].states[stateIndex]
+        ) {
+          return;
+        }
+        const key = JSON.stringify(
+          branch.map((siblingGroup, index) => [
+            siblingGroup.states.map((state, otherStateIndex) =>
+              index === siblingGroupIndex && otherStateIndex === stateIndex
+                ? null
+                : stringifyState(context, state)
+            ),
+            siblingGroup.siblingCombinators,
+            siblingGroup.combinator
+          ])
+        );
+        groups[key] = groups[key] || [];
+        groups[key].push(branch);
+      });
+
+      for (const group of Object.values(groups)) {
+        if (group.length < 2) {
+          continue;
+        }
+
+        const foldedState = foldStates(
+          context,
+          group.map((branch) => branch[siblingGroupIndex].states[stateIndex])
+        );
+        if (!foldedState) {
+          continue;
+        }
+
+        const foldedBranch = group[0].map((siblingGroup, index) =>
+          index === siblingGroupIndex
+            ? {
+                ...siblingGroup,
+                states: siblingGroup.states.map((state, index) =>
+                  index === stateIndex ? foldedState : state
+                )
+              }
+            : siblingGroup
+        );
+        if (
+          stringifyBranch(foldedBranch).length <
+          group.map(stringifyBranch).join(', ').length
+        ) {
+          branches = branches.reduce((foldedBranches, branch) => {
+            if (branch === group[0]) {
+              foldedBranches.push(foldedBranch);
+            } else if (!group.includes(branch)) {
+              foldedBranches.push(branch);
+            }
+            return foldedBranches;
+          }, []);
+          folded = true;
+          break;
+        }
+      }
+
+      if (folded) {
+        break;
+      }
+    }
+  }
+
+  return branches;
+}
+
+/**
+ * @type {string[]} Pseudo-classes that can imply a type or attributes on the
+ *   elements they match, e.g. :any-link implies [href]
+ */
+const assertingPseudoClasses = [
+  ...matchesAnyPseudoClasses,
+  'any-link',
+  'link',
+  'visited',
+  'checked',
+  'default',
+  'disabled',
+  'enabled',
+  'required',
+  'optional',
+  'read-only',
+  'read-write',
+  'placeholder-shown',
+  'indeterminate',
+  'open',
+  'lang',
+  'dir',
+  'root',
+  'defined'
+];
+
+/**
+ * Decides if every element matched by the first selector state is also
+ * matched by the second one
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {SelectorState} state1 The selector state that could be a subset
+ * @param {SelectorState} state2 The selector state that could be a superset
+ * @returns {boolean | 'unknown'} Whether the first state is a subset or
+ *   'unknown' if the pseudo-classes involved can't be decided
+ */
+function decideStateSubset(context, state1, state2) {
+  if (isStateSubset(context, state1, state2)) {
+    return true;
+  } else if (!intersects(context, state1, state2)) {
+    return false;
+  }
+
+  const asserting = state1.pseudoClasses.find((pseudoClass) =>
+    assertingPseudoClasses.includes(pseudoClass.name)
+  );
+
+  const withoutPseudoClasses = (pseudoElements = []) =>
+    pseudoElements.map((pseudoElement) =>
+      withParsedArgument(
+        { ...pseudoElement, pseudoClasses: [] },
+        parsedArguments.get(pseudoElement)
+      )
+    );
+  if (
+    !isPseudoElementSubset(
+      context,
+      withoutPseudoClasses(state1.pseudoElements),
+      withoutPseudoClasses(state2.pseudoElements)
+    )
+  ) {
+    return false;
+  } else if (
+    ((state2.type && state2.type !== '*' && state1.type !== state2.type) ||
+      (isNamespaced(state2.namespace) &&
+        state1.namespace !== state2.namespace)) &&
+    !asserting
+  ) {
+    return false;
+  }
+
+  // An element with only the attribute values the first state asserts can't match the second one
+  if (
+    !asserting &&
+    state2.attributes.find((attribute) => {
+      if (impliesAttribute(state1.attributes, attribute)) {
+        return false;
+      }
+      const keyAttributes = state1.attributes.filter(
+        (otherAttribute) => otherAttribute.key === attribute.key
+      );
+      return (
+        keyAttributes.length === 0 ||
+        (attribute.operator === '~=' &&
+          keyAttributes.every(
+            (otherAttribute) => otherAttribute.operator === '~='
+          )) ||
+        keyAttributes.find(
+          (otherAttribute) =>
+            otherAttribute.operator === '=' &&
+            (otherAttribute.caseSensitive || !attribute.caseSensitive)
+        )
+      );
+    })
+  ) {
+    return false;
+  }
+
+  // The only constraints left to check are pseudo-classes
+  if (
+    (state2.type && state2.type !== '*' && state1.type !== state2.type) ||
+    state2.attributes.find(
+      (attribute) => !impliesAttribute(state1.attributes, attribute)
+    )
+  ) {
+    return 'unknown';
+  }
+
+  // The pseudo-classes of pseudo-elements are only compared literally
+  if (
+    !isPseudoElementSubset(
+      context,
+      state1.pseudoElements,
+      state2.pseudoElements
+    )
+  ) {
+    return 'unknown';
+  }
+
+  // Pseudo-classes that restrict where the element can be among its siblings
+  const positionalPseudoClasses = state1.pseudoClasses.filter(
+    (pseudoClass) =>
+      parseNthPseudoClass(pseudoClass) ||
+      ['only-child', 'only-of-type', 'root'].includes(pseudoClass.name) ||
+      (pseudoClass.argument &&
+        ['not', 'has', ...matchesAnyPseudoClasses].includes(pseudoClass.name))
+  );
+
+  for (const pseudoClass of state2.pseudoClasses) {
+    const nth = parseNthPseudoClass(pseudoClass);
+    if (impliesPseudoClass(context, state1, pseudoClass)) {
+      continue;
+    } else if (pseudoClass.name === 'not' && pseudoClass.argument) {
+      // An element matching both the first state and what is negated can't match the second one
+      const counterexample =
+        !asserting &&
+        parsedArgument(context, pseudoClass).some(
+          (selector) =>
+            selector.state &&
+            expandState(context, selector.state).some(
+              (negatedState) =>
+                !negatedState.pseudoClasses.some((negatedPseudoClass) =>
+                  assertingPseudoClasses.includes(negatedPseudoClass.name)
+                ) && intersects(context, state1, negatedState)
+            )
+        );
+      return counterexample ? false : 'unknown';
+    } else if (!nth) {
+      return 'unknown';
+    }
+
+    // The positions the first state matches on the same axis
+    const axisNths = state1.pseudoClasses
+      .map(parseNthPseudoClass)
+      .filter(
+        (otherNth) =>
+          otherNth && otherNth.name === nth.name && otherNth.of === nth.of
+      );
+    const range = axisNths.reduce(
+      (positions, otherNth) =>
+        positions && intersectNthRanges(positions, otherNth.range),
+      everyPosition
+    );
+    if (!range || isNthRangeSubset(range, nth.range)) {
+      continue;
+    }
+
+    // Like above, an element at the first position the first state allows can't match the second one
+    if (
+      axisNths.length < positionalPseudoClasses.length ||
+      intersectNthRanges({ ...range, max: range.min }, nth.range)
+    ) {
+      return 'unknown';
+    }
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * @typedef {Object} FlatStep
+ * @property {SelectorState} state The state of the element
+ * @property {'' | ' ' | '>' | '+' | '~'} combinator The combinator between
+ *   this element and the one before it in the list
+ */
+
+/**
+ * Flattens a reversed list of sibling groups into a list of elements going
+ * from the result to the start of the selector
+ *
+ * @param {ReturnType<typeof parseComplexSelector>} parsedSelector The reversed
+ *   selector
+ * @returns {FlatStep[]} The elements of the selector
+ */
+function flattenParsedSelector(parsedSelector) {
+  return parsedSelector.reduce((steps, parsedSiblingGroup) => {
+    parsedSiblingGroup.tokens.forEach((state, stateIndex) => {
+      steps.push({
+        state,
+        combinator:
+          stateIndex !== 0
+            ? parsedSiblingGroup.combinators[stateIndex - 1]
+            : parsedSiblingGroup.type === 'parent'
+            ? '>'
+            : parsedSiblingGroup.type === 'ancestor'
+            ? ' '
+            : ''
+      });
+    });
+    return steps;
+  }, []);
+}
+
+/**
+ * Checks if the structure of the second selector can be found in the first
+ * one, so anything matching the first selector also matches the second one
+ *
+ * @param {FlatStep[]} steps1 The elements of the first selector
+ * @param {FlatStep[]} steps2 The elements of the second selector
+ * @param {(state1: SelectorState, state2: SelectorState) => boolean} matches
+ *   Whether an element of the first selector is covered by one of the second
+ * @returns {boolean} Whether the second selector was found or not
+ */
+function embedsSelector(steps1, steps2, matches) {
+  const ancestorCombinators = ['>', ' '];
+  const siblingCombinators = ['+', '~'];
+
+  /**
+   * Tries to find the rest of the second selector after its element at index2
+   * was found at index1
+   *
+   * @param {number} index1 The index in the first selector
+   * @param {number} index2 The index in the second selector
+   * @returns {boolean} Whether the rest was found or not
+   */
+  function embedsFrom(index1, index2) {
+    if (index2 === steps2.length - 1) {
+      return true;
+    }
+
+    const { state, combinator } = steps2[index2 + 1];
+    const candidates = [];
+    if (combinator === '+') {
+      if (steps1[index1 + 1] && steps1[index1 + 1].combinator === '+') {
+        candidates.push(index1 + 1);
+      }
+    } else if (combinator === '~') {
+      for (
+        let index = index1 + 1;
+        steps1[index] && siblingCombinators.includes(steps1[index].combinator);
+        index++
+      ) {
+        candidates.push(index);
+      }
+    } else {
+      for (let index = index1 + 1; steps1[index]; index++) {
+        if (ancestorCombinators.includes(steps1[index].combinator)) {
+          if (combinator === ' ' || steps1[index].combinator === '>') {
+            candidates.push(index);
+          }
+          // A parent is always the first ancestor
+          if (combinator === '>') {
+            break;
+          }
+        }
+      }
+    }
+
+    return !!candidates.find(
+      (candidate) =>
+        matches(steps1[candidate].state, state) &&
+        embedsFrom(candidate, index2 + 1)
+    );
+  }
+
+  return matches(steps1[0].state, steps2[0].state) && embedsFrom(0, 0);
+}
+
+/**
+ * Intersects two sibling groups of reversed selectors whose anchors are the
+ * same element
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {ReturnType<typeof parseComplexSelector>[number][]} parsedSiblingGroups
+ *   The two sibling groups
+ * @param {'' | ' ' | '>'} combinator The combinator that comes after the
+ *   intersected group
+ * @returns {SiblingGroup[]} Every way of laying out the siblings, empty if
+ *   they don't intersect
+ */
+function intersectSiblingGroups(context, parsedSiblingGroups, combinator) {
+  const intersection = intersects(
+    context,
+    parsedSiblingGroups[0].tokens[0],
+    parsedSiblingGroups[1].tokens[0]
+  );
+
+  if (!intersection) {
+    return [];
+  }
+
+  return mergeSiblingChains(
+    context,
+    ...parsedSiblingGroups.map((parsedSelectorPart) =>
+      parsedSelectorPart.tokens.slice(1).map((state, stateIndex) => ({
+        state,
+        combinator: parsedSelectorPart.combinators[stateIndex]
+      }))
+    )
+  ).map((siblingChain) =>
+    toSiblingGroup(
+      {
+        tokens: [
+          intersection,
+          ...siblingChain.map((siblingStep) => siblingStep.state)
+        ],
+        combinators: siblingChain.map((siblingStep) => siblingStep.combinator)
+      },
+      combinator
+    )
+  );
+}
+
+/**
+ * Finds every order-preserving way of laying out two chains of ancestors on
+ * the path from an element to the root, where an ancestor of each chain can
+ * also be the same element, e.g. a b x and c x give a c b x, c a b x, a b c x,
+ * a.c b x and a b.c x. A parent has to come right before the element it is the
+ * parent of, so it can only be merged with or put after the other chain
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {ReturnType<typeof parseComplexSelector>} chain1 The sibling groups
+ *   of the first reversed selector above its subject
+ * @param {ReturnType<typeof parseComplexSelector>} chain2 The sibling groups
+ *   of the second reversed selector above its subject
+ * @returns {SiblingGroup[][][]} Every layout, as the alternatives for each
+ *   sibling group starting from the one closest to the subject
+ */
+function mergeAncestorChains(context, chain1, chain2) {
+  const combinatorOf = (parsedSiblingGroup) =>
+    parsedSiblingGroup.type === 'parent' ? '>' : ' ';
+  const memo = new Map();
+
+  /**
+   * Lays out the rest of the chains
+   *
+   * @param {number} index1 The index of the next group of the first chain
+   * @param {number} index2 The index of the next group of the second chain
+   * @returns {SiblingGroup[][][]} Every layout of the rest of the chains
+   */
+  function mergeFrom(index1, index2) {
+    const key = `${index1},${index2}`;
+    if (memo.has(key)) {
+      return memo.get(key);
+    }
+
+    const group1 = chain1[index1];
+    const group2 = chain2[index2];
+    const layouts = [];
+    const addLayouts = (alternatives, nextIndex1, nextIndex2) => {
+      if (alternatives.length > 0) {
+        mergeFrom(nextIndex1, nextIndex2).forEach((layout) => {
+          layouts.push([alternatives, ...layout]);
+        });
+      }
+    };
+
+    if (!group1 && !group2) {
+      layouts.push([]);
+    } else {
+      if (group1 && group2) {
+        addLayouts(
+          intersectSiblingGroups(
+            context,
+            [group1, group2],
+            group1.type === 'parent' || group2.type === 'parent' ? '>' : ' '
+          ),
+          index1 + 1,
+          index2 + 1
+        );
+      }
+      if (group1 && (!group2 || group2.type !== 'parent')) {
+        addLayouts(
+          [toSiblingGroup(group1, combinatorOf(group1))],
+          index1 + 1,
+          index2
+        );
+      }
+      if (group2 && (!group1 || group1.type !== 'parent')) {
+        addLayouts(
+          [toSiblingGroup(group2, combinatorOf(group2))],
+          index1,
+          index2 + 1
+        );
+      }
+    }
+
+    memo.set(key, layouts);
+    return layouts;
+  }
+
+  return mergeFrom(0, 0);
+}
+
+/**
+ * Checks if two reversed selectors without any comma-separated parts
+ * intersect. Only the subjects and the parents right above them that have to
+ * be the same elements are checked, as the rest of the ancestors can always be
+ * laid out one after another, unless the shadow host is at the top of one of
+ * them
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {ReturnType<typeof parseComplexSelector>[]} parsed The two reversed
+ *   selectors
+ * @returns {number} The depth of the first sibling groups that don't
+ *   intersect, -1 if the selectors intersect
+ */
+function findConflictingDepth(context, parsed) {
+  for (
+    let depth = 0;
+    depth === 0 ||
+    (parsed[0][depth] &&
+      parsed[1][depth] &&
+      parsed[0][depth].type === 'parent' &&
+      parsed[1][depth].type === 'parent');
+    depth++
+  ) {
+    if (
+      intersectSiblingGroups(context, [parsed[0][depth], parsed[1][depth]], '')
+        .length === 0
+    ) {
+      return depth;
+    }
+  }
+
+  // Nothing can be laid out above the shadow host, so every layout is needed
+  const hostSelector = parsed.find((parsedSelector) =>
+    parsedSelector.find((parsedSiblingGroup) =>
+      parsedSiblingGroup.tokens.find(isHostState)
+    )
+  );
+  if (hostSelector && intersectParsedSelectors(context, parsed).length === 0) {
+    return Math.min(parsed[0].length, parsed[1].length) - 1;
+  }
+  return -1;
+}
+
+/**
+ * Converts the left to right sibling groups of a branch back into a reversed
+ * selector
+ *
+ * @param {SiblingGroup[]} siblingGroups The sibling groups of the branch
+ * @returns {ReturnType<typeof parseComplexSelector>} The reversed selector
+ */
+function toParsedSelector(siblingGroups) {
+  return siblingGroups
+    .map((siblingGroup) => ({
+      type:
+        siblingGroup.combinator === '>'
+          ? 'parent'
+          : siblingGroup.combinator === ' '
+          ? 'ancestor'
+          : '',
+      tokens: Array.from(siblingGroup.states).reverse(),
+      combinators: Array.from(siblingGroup.siblingCombinators).reverse()
+    }))
+    .reverse();
+}
+
+/**
+ * Drops the branches of a union that are already matched by other branches,
+ * keeping the first one out of equivalent branches
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {SiblingGroup[][]} branches The branches of the union
+ * @returns {SiblingGroup[][]} The branches that are needed
+ */
+function pruneBranches(context, branches) {
+  const steps = branches.map((branch) =>
+    flattenParsedSelector(toParsedSelector(branch))
+  );
+
+  // The same states get compared a lot, so remember the decisions
+  const decisions = new Map();
+  const isStateCovered = (state1, state2) => {
+    if (!decisions.has(state1)) {
+      decisions.set(state1, new Map());
+    }
+    const stateDecisions = decisions.get(state1);
+    if (!stateDecisions.has(state2)) {
+      stateDecisions.set(
+        state2,
+        decideStateSubset(context, state1, state2) === true
+      );
+    }
+    return stateDecisions.get(state2);
+  };
+  const isBranchSubset = (index1, index2) =>
+    // A covering branch can't have more elements than the branch it covers
+    steps[index2].length <= steps[index1].length &&
+    embedsSelector(steps[index1], steps[index2], isStateCovered);
+
+  return branches.filter(
+    (branch, branchIndex) =>
+      !branches.find(
+        (otherBranch, otherBranchIndex) =>
+          otherBranchIndex !== branchIndex &&
+          isBranchSubset(branchIndex, otherBranchIndex) &&
+          (otherBranchIndex < branchIndex ||
+            !isBranchSubset(otherBranchIndex, branchIndex))
+      )
+  );
+}
+
+/**
+ * Intersects two reversed selectors without any comma-separated parts
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {ReturnType<typeof parseComplexSelector>[]} parsed The two reversed
+ *   selectors
+ * @returns {SiblingGroup[][]} The branches of the union that makes up the
+ *   intersection, as lists of sibling groups. Some can be covered by others, see
+ *   `simplifyBranches`
+ */
+function intersectParsedSelectors(context, parsed) {
+  const subjects = intersectSiblingGroups(
+    context,
+    [parsed[0][0], parsed[1][0]],
+    ''
+  );
+  if (subjects.length === 0) {
+    return [];
+  }
+
+  return mergeAncestorChains(context, parsed[0].slice(1), parsed[1].slice(1))
+    .reduce(
+      (branches, layout) =>
+        branches.concat(
+          cartesianProduct([subjects, ...layout]).map((siblingGroups) =>
+            siblingGroups.reverse()
+          )
+        ),
+      []
+    )
+    .filter(isHostPlacementValid);
+}
+
+/**
+ * @typedef {[number, number, number]} Specificity The specificity of a
+ *   selector as the (id, class, type) counts
+ */
+
+/**
+ * Compares two specificities
+ *
+ * @param {Specificity} specificity1 The first specificity
+ * @param {Specificity} specificity2 The second specificity
+ * @returns {number} Negative if the first one is less specific, positive if it
+ *   is more specific and zero if they are the same
+ */
+function compareSpecificities(specificity1, specificity2) {
+  return (
+    specificity1[0] - specificity2[0] ||
+    specificity1[1] - specificity2[1] ||
+    specificity1[2] - specificity2[2]
+  );
+}
+
+/**
+ * Finds the most specific out of a list of specificities
+ *
+ * @param {Specificity[]} specificities The specificities to choose from
+ * @returns {Specificity} The most specific one, zero if the list is empty
+ */
+function maxSpecificity(specificities) {
+  return specificities.reduce(
+    (maximum, specificity) =>
+      compareSpecificities(specificity, maximum) > 0 ? specificity : maximum,
+    [0, 0, 0]
+  );
+}
+
+/**
+ * Adds up specificities
+ *
+ * @param {Specificity[]} specificities The specificities to add up
+ * @returns {Specificity} The sum of the specificities
+ */
+function sumSpecificities(specificities) {
+  return specificities.reduce(
+    (sum, specificity) => [
+      sum[0] + specificity[0],
+      sum[1] + specificity[1],
+      sum[2] + specificity[2]
+    ],
+    [0, 0, 0]
+  );
+}
+
+/**
+ * Finds the specificity of a selector, the most specific of its
+ * comma-separated parts if there are any. This works on the tokens, as
+ * attribute selectors on ids such as `[id='a']` count less than `#a`
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {string} selector The selector
+ * @returns {Specificity} The specificity of the selector
+ */
+function selectorSpecificity(context, selector) {
+  return maxSpecificity(
+    splitTokensByComma(tokenize(selector)).map((tokens) =>
+      sumSpecificities(
+        tokens.map((token) => {
+          switch (token.type) {
+            case 'id':
+              return [1, 0, 0];
+
+            case 'class':
+            case 'attribute':
+              return [0, 1, 0];
+
+            case 'type':
+              return [0, 0, 1];
+
+            case 'pseudo-element':
+              return pseudoElementSpecificity(context, token);
+
+            case 'pseudo-class':
+              return pseudoClassSpecificity(context, token);
+
+            default:
+              return [0, 0, 0];
+          }
+        })
+      )
+    )
+  );
+}
+
+/**
+ * Finds the specificity of a pseudo-class. :where() counts as nothing, :is(),
+ * :not() and :has() count as their most specific argument and :nth-child()
+ * with an `of` selector adds the specificity of that selector
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {{ name: string; argument?: string }} pseudoClass The pseudo-class
+ * @returns {Specificity} The specificity of the pseudo-class
+ */
+function pseudoClassSpecificity(context, pseudoClass) {
+  if (pseudoClass.name === 'where') {
+    return [0, 0, 0];
+  } else if (legacyPseudoElements.includes(pseudoClass.name)) {
+    return [0, 0, 1];
+  } else if (
+    matchesAnyPseudoClasses.includes(pseudoClass.name) ||
+    pseudoClass.name === 'not'
+  ) {
+    return selectorSpecificity(context, pseudoClass.argument);
+  } else if (pseudoClass.name === 'has') {
+    return maxSpecificity(
+      parsedArgument(context, pseudoClass).map((relativeSelector) =>
+        selectorSpecificity(context, relativeSelector.content)
+      )
+    );
+  } else if (
+    ['nth-child', 'nth-last-child'].includes(pseudoClass.name) &&
+    pseudoClass.argument
+  ) {
+    const nth = parseNth(pseudoClass.argument);
+    if (nth && nth.of) {
+      return sumSpecificities([
+        [0, 1, 0],
+        selectorSpecificity(context, nth.of)
+      ]);
+    }
+  } else if (
+    hostPseudoClasses.includes(pseudoClass.name) &&
+    pseudoClass.argument
+  ) {
+    return sumSpecificities([
+      [0, 1, 0],
+      selectorSpecificity(context, pseudoClass.argument)
+    ]);
+  }
+  return [0, 1, 0];
+}
+
+/**
+ * Finds the specificity of a pseudo-element, along with its argument for
+ * ::slotted()
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {{ name: string; argument?: string }} pseudoElement The
+ *   pseudo-element
+ * @returns {Specificity} The specificity of the pseudo-element
+ */
+function pseudoElementSpecificity(context, pseudoElement) {
+  return asciiLowercase(pseudoElement.name) === 'slotted' &&
+    pseudoElement.argument
+    ? sumSpecificities([
+        [0, 0, 1],
+        selectorSpecificity(context, pseudoElement.argument)
+      ])
+    : [0, 0, 1];
+}
+
+/**
+ * Finds the specificity of a selector state
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {SelectorState} state The selector state
+ * @returns {Specificity} The specificity of the state
+ */
+function stateSpecificity(context, state) {
+  const specificity = [0, 0, 0];
+
+  if (state.type) {
+    specificity[2]++;
+  }
+
+  state.attributes.forEach((attribute) => {
+    if (isShorthandAttribute(context, attribute, 'id')) {
+      specificity[0]++;
+    } else {
+      specificity[1]++;
+    }
+  });
+
+  return sumSpecificities([
+    specificity,
+    ...state.pseudoClasses.map((pseudoClass) =>
+      pseudoClassSpecificity(context, pseudoClass)
+    ),
+    ...(state.pseudoElements || []).map((pseudoElement) =>
+      sumSpecificities([
+        pseudoElementSpecificity(context, pseudoElement),
+        ...pseudoElement.pseudoClasses.map((pseudoClass) =>
+          pseudoClassSpecificity(context, pseudoClass)
+        )
+      ])
+    )
+  ]);
+}
+
+/**
+ * Finds the specificity of the left to right sibling groups of a branch
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {SiblingGroup[]} siblingGroups The sibling groups of the branch
+ * @returns {Specificity} The specificity of the branch
+ */
+function branchSpecificity(context, siblingGroups) {
+  return sumSpecificities(
+    siblingGroups.map((siblingGroup) =>
+      sumSpecificities(
+        siblingGroup.states.map((state) => stateSpecificity(context, state))
+      )
+    )
+  );
+}
+
+/**
+ * Normalizes a selector state by dropping the attribute assertions and
+ * pseudo-classes it has more than once
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {SelectorState} state The state to normalize
+ * @returns {SelectorState} The normalized state
+ */
+function normalizeState(context, state) {
+  const unique = (items) => {
+    const keys = new Set();
+    return items.filter((item) => {
+      const key = JSON.stringify(item);
+      if (keys.has(key)) {
+        return false;
+      }
+      keys.add(key);
+      return true;
+    });
+  };
+
+  const attributes = unique(state.attributes);
+  const pseudoClasses = unique(state.pseudoClasses);
+  return attributes.length === state.attributes.length &&
+    pseudoClasses.length === state.pseudoClasses.length
+    ? state
+    : { ...state, attributes, pseudoClasses };
+}
+
+/**
+ * Gives a key that is the same for branches that only differ by the order of
+ * the attribute assertions and pseudo-classes in their states
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {SiblingGroup[]} branch The sibling groups of the branch
+ * @returns {string} The key of the branch
+ */
+function branchKey(context, branch) {
+  return JSON.stringify(
+    branch.map((siblingGroup) => [
+      siblingGroup.states.map((state) => [
+        isNamespaced(state.namespace) ? state.namespace : '*',
+        state.type || '*',
+        JSON.stringify(state.pseudoElements || []),
+        state.attributes.map((attribute) => JSON.stringify(attribute)).sort(),
+        state.pseudoClasses
+          .map((pseudoClass) => JSON.stringify(pseudoClass))
+          .sort()
+      ]),
+      siblingGroup.siblingCombinators,
+      siblingGroup.combinator
+    ])
+  );
+}
+
+/**
+ * Simplifies the branches of a union into the smallest equivalent list by
+ * normalizing each branch, removing duplicates and dropping the branches that
+ * are covered by other branches
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {SiblingGroup[][]} branches The branches of the union
+ * @returns {SiblingGroup[][]} The simplified branches
+ */
+function simplifyBranches(context, branches) {
+  const keys = new Set();
+
+  return pruneBranches(
+    context,
+    branches
+      .map((branch) =>
+        branch.map((siblingGroup) => ({
+          ...siblingGroup,
+          states: siblingGroup.states.map((state) =>
+            normalizeState(context, state)
+          )
+        }))
+      )
+      .filter((branch) => {
+        const key = branchKey(context, branch);
+        if (keys.has(key)) {
+          return false;
+        }
+        keys.add(key);
+        return true;
+      })
+  );
+}
+
+/**
+ * Finds the intersection of selectors as the left to right sibling groups of
+ * each branch of the union
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {string[]} selectors The selectors to find the intersection of
+ * @returns {SiblingGroup[][]} The branches of the intersection
+ */
+function intersectSelectorsToBranches(context, selectors) {
+  return foldBranches(context, collectIntersection(context, selectors));
+}
+
+/**
+ * Finds the simplified branches of the intersection of selectors, before they
+ * are folded. Each selector is parsed once and the intersection is built from
+ * the last selector to the first one on the reversed selectors
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {string[]} selectors The selectors to find the intersection of
+ * @returns {SiblingGroup[][]} The branches of the intersection
+ */
+function collectIntersection(context, selectors) {
+  if (selectors.length === 0 || selectors.includes('')) {
+    return [];
+  } else if (selectors.length === 1) {
+    // A single selector goes through the same checks, against one that matches
+    // everything
+    return collectIntersection(context, [selectors[0], '*|*']);
+  }
+
+  // Every selector is a union of reversed selectors, one for each comma-separated part
+  // and each way of expanding its :is() and :where(), e.g. :is(.a, .b) c ---> .a c, .b c
+  //
+  // Array<                    // Arrays of sibling groups
+  //   {
+  //     type: string;       // Type of relationship change, parent or ancestor or empty string for none
+  //     tokens: Array<      // Array of selector states on siblings, closest sibling first
+  //       SelectorState     // See `extractInfo`
+  //     >
+  //     combinators: Array< // Combinator between each sibling and the one before it in tokens
+  //       '+' | '~'
+  //     >
+  //   }
+  // >
+  const unions = selectors.map((selector) =>
+    parseSelector(context, selector).reduce(
+      (variants, parsedSelector) =>
+        variants.concat(expandParsedSelector(context, parsedSelector)),
+      []
+    )
+  );
+
+  // Intersect every part of a union with every part of the other one, which is the
+  // distributive property applied in set theory
+  // (a ∪ b) ∩ (c ∪ d) = (a ∩ c) ∪ (a ∩ d) ∪ (b ∩ c) ∪ (b ∩ d)
+  let branches = unions.pop();
+  while (unions.length > 0) {
+    const union = unions.pop();
+    branches = simplifyBranches(
+      context,
+      union.reduce(
+        (accumulatorBranches, parsedSelector) =>
+          branches.reduce(
+            (innerBranches, otherParsedSelector) =>
+              innerBranches.concat(
+                intersectParsedSelectors(context, [
+                  parsedSelector,
+                  otherParsedSelector
+                ])
+              ),
+            accumulatorBranches
+          ),
+        []
+      )
+    );
+    if (unions.length > 0) {
+      branches = branches.map(toParsedSelector);
+    }
+  }
+
+  return branches;
+}
+
+/**
+ * Finds the intersection of selectors
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {...string} selectors The selectors to find the intersection of
+ * @returns {string} The intersection, empty if there is none
+ */
+function intersectSelectors(context, ...selectors) {
+  return stringifyBranches(
+    context,
+    intersectSelectorsToBranches(context, selectors)
+  );
+}
+
+/**
+ * Copies a selector state, so that changing the copy doesn't change the states
+ * kept in the parse cache
+ *
+ * @param {SelectorState} state The state to copy
+ * @returns {SelectorState} The copy
+ */
+function copyState(state) {
+  const copyPseudoClasses = (pseudoClasses) =>
+    pseudoClasses.map((pseudoClass) => ({ ...pseudoClass }));
+  return {
+    ...state,
+    ...(state.pseudoElements
+      ? {
+          pseudoElements: state.pseudoElements.map((pseudoElement) => ({
+            ...pseudoElement,
+            pseudoClasses: copyPseudoClasses(pseudoElement.pseudoClasses)
+          }))
+        }
+      : {}),
+    pseudoClasses: copyPseudoClasses(state.pseudoClasses),
+    attributes: state.attributes.map((attribute) => ({ ...attribute }))
+  };
+}
+
+/**
+ * Finds the intersection of selectors as a structured result instead of a
+ * string, so it can be inspected without parsing the selector again
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {...string} selectors The selectors to find the intersection of
+ * @returns {SelectorAST} The intersection, with no branches if there is none
+ */
+function intersectSelectorsToAST(context, ...selectors) {
+  const branches = intersectSelectorsToBranches(context, selectors).map(
+    (siblingGroups) => ({
+      siblingGroups: siblingGroups.map((siblingGroup) => ({
+        ...siblingGroup,
+        states: siblingGroup.states.map(copyState),
+        siblingCombinators: [...siblingGroup.siblingCombinators]
+      })),
+      specificity: branchSpecificity(context, siblingGroups)
+    })
+  );
+
+  return {
+    branches,
+    specificity: maxSpecificity(branches.map((branch) => branch.specificity)),
+    inputSpecificities: selectors.map((selector) =>
+      selector === '' ? [0, 0, 0] : selectorSpecificity(context, selector)
+    )
+  };
+}
+
+/**
+ * Stringifies the branches of a union
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {SiblingGroup[][]} branches The branches to stringify
+ * @returns {string} The comma-separated selector
+ */
+function stringifyBranches(context, branches) {
+  return branches
+    .map((branch) =>
+      branch
+        .map((siblingGroup) => stringifySiblingGroup(context, siblingGroup))
+        .join('')
+    )
+    .join(', ');
+}
+
+/**
+ * Stringifies a structured result such as the one `intersectSelectorsToAST`
+ * gives
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {SelectorAST} ast The structured result to stringify
+ * @returns {string} The selector, empty if there are no branches
+ */
+function stringify(context, ast) {
+  return stringifyBranches(
+    context,
+    ast.branches.map((branch) => branch.siblingGroups)
+  );
+}
+
+/**
+ * Checks if two selectors can ever match the same element. This is faster than
+ * checking if `intersectSelectors` gives an empty string, as it stops at the
+ * first contradiction or the first way they can intersect and doesn't build or
+ * stringify any results
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {string} selector1 The first selector
+ * @param {string} selector2 The second selector
+ * @returns {boolean} Whether the selectors intersect or not
+ */
+function doSelectorsIntersect(context, selector1, selector2) {
+  const branches2 = parseSelector(context, selector2).map((parsedSelector) =>
+    expandParsedSelector(context, parsedSelector)
+  );
+
+  return !!parseSelector(context, selector1).find((parsedSelector1) =>
+    expandParsedSelector(context, parsedSelector1).find((expandedSelector1) =>
+      branches2.find((expandedSelectors2) =>
+        expandedSelectors2.find(
+          (expandedSelector2) =>
+            findConflictingDepth(context, [
+              expandedSelector1,
+              expandedSelector2
+            ]) === -1
+        )
+      )
+    )
+  );
+}
+
+/**
+ * Checks if every element matched by the first selector is also matched by the
+ * second one, e.g. to find out if a rule is always overridden by another one
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {string} selector1 The selector that could be a subset
+ * @param {string} selector2 The selector that could be a superset
+ * @returns {boolean | 'unknown'} Whether the first selector is a subset of the
+ *   second one or 'unknown' if the pseudo-classes involved can't be decided
+ */
+function isSubset(context, selector1, selector2) {
+  const expand = (selector) =>
+    parseSelector(context, selector).reduce(
+      (branches, parsedSelector) =>
+        branches.concat(expandParsedSelector(context, parsedSelector)),
+      []
+    );
+  const branches2 = expand(selector2).map(flattenParsedSelector);
+
+  let result = true;
+  for (const branch1 of expand(selector1)) {
+    const steps1 = flattenParsedSelector(branch1);
+
+    // Nothing matches this branch, so it is in any selector
+    if (
+      steps1.find(
+        (step) =>
+          !intersects(context, step.state, {
+            attributes: [],
+            pseudoClasses: []
+          })
+      )
+    ) {
+      continue;
+    }
+
+    if (
+      branches2.find((steps2) =>
+        embedsSelector(
+          steps1,
+          steps2,
+          (state1, state2) =>
+            decideStateSubset(context, state1, state2) === true
+        )
+      )
+    ) {
+      continue;
+    }
+
+    // Elements the first selector leaves in between could also be matched by the second one
+    if (
+      branches2.find(
+        (steps2) =>
+          embedsSelector(
+            steps1,
+            steps2,
+            (state1, state2) =>
+              decideStateSubset(context, state1, state2) !== false
+          ) ||
+          steps2
+            .slice(1)
+            .find(
+              (step) =>
+                (!step.state.type || step.state.type === '*') &&
+                step.state.attributes.length === 0 &&
+                !step.state.pseudoElements
+            )
+      )
+    ) {
+      result = 'unknown';
+      continue;
+    }
+
+    return false;
+  }
+
+  return result;
+}
+
+/**
+ * Splits a selector into the stringified comma-separated branches
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {string} selector The selector to split
+ * @returns {string[]} The branches of the selector
+ */
+function splitSelector(context, selector) {
+  return selector === ''
+    ? []
+    : parseSelector(context, selector).map((parsedSelector) =>
+        stringifyBranches(context, [fromParsedSelector(parsedSelector)])
+      );
+}
+
+/**
+ * Finds the union of selectors, dropping the branches that are already
+ * matched by other branches, e.g. `.a, .a.b` ---> `.a`
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {...string} selectors A list of selectors to find the union of
+ * @returns {string} The union of the selectors
+ */
+function unionSelectors(context, ...selectors) {
+  const branches = selectors.reduce(
+    (accumulatorBranches, selector) =>
+      accumulatorBranches.concat(splitSelector(context, selector)),
+    []
+  );
+
+  return branches
+    .filter(
+      (branch, branchIndex) =>
+        !branches.find(
+          (otherBranch, otherBranchIndex) =>
+            otherBranchIndex !== branchIndex &&
+            isSubset(context, branch, otherBranch) === true &&
+            // Keep the first one out of equivalent branches
+            (otherBranchIndex < branchIndex ||
+              isSubset(context, otherBranch, branch) !== true)
+        )
+    )
+    .join(', ');
+}
+
+/**
+ * Finds the elements that are matched by the first selector but not by the
+ * second one. The branches of the second selector that overlap with the first
+ * one are put in a :not() on its subject
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {string} selector1 The selector to subtract from
+ * @param {string} selector2 The selector to subtract
+ * @returns {string} The difference, empty if nothing is left
+ */
+function subtractSelectors(context, selector1, selector2) {
+  if (selector1 === '' || selector2 === '') {
+    return unionSelectors(context, selector1);
+  }
+
+  const parsedSelectors2 = parseSelector(context, selector2);
+
+  return unionSelectors(
+    context,
+    ...parseSelector(context, selector1).map((parsedSelector1) => {
+      const branch1 = stringifyBranches(context, [
+        fromParsedSelector(parsedSelector1)
+      ]);
+      const pseudoElements1 = parsedSelector1[0].tokens[0].pseudoElements;
+
+      const negations = [];
+      for (const parsedSelector2 of parsedSelectors2) {
+        // A branch without pseudo-elements constrains the originating element,
+        // while one with pseudo-elements has to cover the ones of the first
+        // selector for them to be left out of the :not()
+        if (
+          !isPseudoElementSubset(
+            context,
+            pseudoElements1,
+            parsedSelector2[0].tokens[0].pseudoElements
+          )
+        ) {
+          continue;
+        }
+
+        const branch2 = stringifyBranches(context, [
+          fromParsedSelector(parsedSelector2)
+        ]);
+        if (!doSelectorsIntersect(context, branch1, branch2)) {
+          continue;
+        } else if (isSubset(context, branch1, branch2) === true) {
+          return '';
+        }
+
+        // The pseudo-element stays on the subject of the first selector
+        negations.push(
+          stringifyBranches(context, [
+            fromParsedSelector([
+              {
+                ...parsedSelector2[0],
+                tokens: [
+                  {
+                    ...parsedSelector2[0].tokens[0],
+                    pseudoElements: undefined
+                  },
+                  ...parsedSelector2[0].tokens.slice(1)
+                ]
+              },
+              ...parsedSelector2.slice(1)
+            ])
+          ])
+        );
+      }
+
+      return negations.length === 0
+        ? branch1
+        : intersectSelectors(context, branch1, `:not(${negations.join(', ')})`);
+    })
+  );
+}
+
+/**
+ * @typedef {Object} Conflict
+ * @property {number[]} selectors The indexes of the input selectors involved
+ * @property {string[]} compounds The compound selectors that conflict, one for
+ *   each side of the conflict
+ * @property {{ depth: number; sibling: number }} position Where the compounds
+ *   are, counting the sibling groups from the subject and the siblings from the
+ *   closest one
+ * @property {| 'namespace'
+ *   | 'type'
+ *   | 'pseudo-element'
+ *   | 'attribute'
+ *   | 'pseudo-class'
+ *   | 'opposite-pseudo-classes'
+ *   | 'combination'
+ *   | 'structure'} kind
+ *   The kind of conflict
+ * @property {string[]} constraints The parts of the compounds that conflict,
+ *   e.g. `[lang='en']` and `[lang='fr']`
+ * @property {string} message A human-readable explanation
+ */
+
+/**
+ * Splits a selector state into the states of each of its constraints
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {SelectorState} state The state to split
+ * @returns {{
+ *   kind: 'namespace' | 'type' | 'pseudo-element' | 'attribute' | 'pseudo-class';
+ *   content: string;
+ *   state: SelectorState;
+ * }[]} The constraints of the state
+ */
+function splitStateConstraints(context, state) {
+  const constraints = [];
+
+  if (isNamespaced(state.namespace)) {
+    const namespaceState = {
+      namespace: state.namespace,
+      pseudoClasses: [],
+      attributes: []
+    };
+    constraints.push({
+      kind: 'namespace',
+      content: stringifyState(context, namespaceState),
+      state: namespaceState
+    });
+  }
+  if (state.type && state.type !== '*') {
+    constraints.push({
+      kind: 'type',
+      content: state.type,
+      state: { type: state.type, pseudoClasses: [], attributes: [] }
+    });
+  }
+  if (state.pseudoElements) {
+    const pseudoElementState = {
+      pseudoElements: state.pseudoElements,
+      pseudoClasses: [],
+      attributes: []
+    };
+    constraints.push({
+      kind: 'pseudo-element',
+      content: stringifyState(context, pseudoElementState),
+      state: pseudoElementState
+    });
+  }
+
+  state.attributes.forEach((attribute) => {
+    const attributeState = { pseudoClasses: [], attributes: [attribute] };
+    constraints.push({
+      kind: 'attribute',
+      content: stringifyState(context, attributeState),
+      state: attributeState
+    });
+  });
+  state.pseudoClasses.forEach((pseudoClass) => {
+    const pseudoClassState = { pseudoClasses: [pseudoClass], attributes: [] };
+    constraints.push({
+      kind: 'pseudo-class',
+      content: stringifyState(context, pseudoClassState),
+      state: pseudoClassState
+    });
+  });
+
+  return constraints;
+}
+
+/**
+ * Finds the smallest part of two selector states that makes them not
+ * intersect, trying single constraints first, then pairs across both states
+ * and then pairs within each state
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {SelectorState} state1 The first selector state
+ * @param {SelectorState} state2 The second selector state
+ * @returns {{
+ *   sides: number[];
+ *   kind: Conflict['kind'];
+ *   constraints: string[];
+ *   message: string;
+ * } | null}
+ *   The sides the conflict comes from, null if the states intersect
+ */
+function explainStates(context, state1, state2) {
+  if (intersects(context, state1, state2)) {
+    return null;
+  }
+
+  const constraints = [
+    ...splitStateConstraints(context, state1).map((constraint) => ({
+      ...constraint,
+      side: 0
+    })),
+    ...splitStateConstraints(context, state2).map((constraint) => ({
+      ...constraint,
+      side: 1
+    }))
+  ];
+
+  const single = constraints.find(
+    (constraint) =>
+      !intersects(context, constraint.state, {
+        pseudoClasses: [],
+        attributes: []
+      })
+  );
+  if (single) {
+    return {
+      sides: [single.side],
+      kind: single.kind,
+      constraints: [single.content],
+      message: `${single.content} can never match`
+    };
+  }
+
+  const pairs = [];
+  constraints.forEach((constraint1, constraintIndex) => {
+    constraints.slice(constraintIndex + 1).forEach((constraint2) => {
+      pairs.push([constraint1, constraint2]);
+    });
+  });
+  const pair = [
+    ...pairs.filter((pair) => pair[0].side !== pair[1].side),
+    ...pairs.filter((pair) => pair[0].side === pair[1].side)
+  ].find((pair) => !intersects(context, pair[0].state, pair[1].state));
+
+  if (!pair) {
+    const contents = [
+      stringifyState(context, state1),
+      stringifyState(context, state2)
+    ];
+    return {
+      sides: [0, 1],
+      kind: 'combination',
+      constraints: contents,
+      message: `${contents[0]} and ${contents[1]} can't match the same element when put together`
+    };
+  }
+
+  const contents = pair.map((constraint) => constraint.content);
+  let kind = pair[0].kind;
+  let message = `${contents[0]} and ${contents[1]} can't match the same element`;
+  if (pair[0].kind === 'pseudo-class' || pair[1].kind === 'pseudo-class') {
+    kind = 'pseudo-class';
+    const names = pair.map(
+      (constraint) =>
+        constraint.kind === 'pseudo-class' &&
+        constraint.state.pseudoClasses[0].name
+    );
+    if (
+      oppositePseudoClasses.find(
+        (oppositePseudoClass) =>
+          names.includes(oppositePseudoClass[0]) &&
+          names.includes(oppositePseudoClass[1])
+      )
+    ) {
+      kind = 'opposite-pseudo-classes';
+      message = `${contents[0]} and ${contents[1]} are opposite pseudo-classes`;
+    }
+  } else if (kind === 'type') {
+    message = `${contents[0]} and ${contents[1]} are different element types`;
+  } else if (kind === 'namespace') {
+    message = `${contents[0]} and ${contents[1]} are in different namespaces`;
+  } else if (kind === 'pseudo-element') {
+    message = `${contents[0]} and ${contents[1]} are different pseudo-elements`;
+  }
+
+  return {
+    sides: [...new Set(pair.map((constraint) => constraint.side))],
+    kind,
+    constraints: contents,
+    message
+  };
+}
+
+/**
+ * Explains why two reversed selectors without any comma-separated parts don't
+ * intersect
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {ReturnType<typeof parseComplexSelector>[]} parsed The two reversed
+ *   selectors
+ * @returns {(Omit<Conflict, 'selectors'> & { sides: number[] }) | null} The
+ *   conflict, null if they intersect
+ */
+function explainParsedSelectors(context, parsed) {
+  // The shadow host is the root of its shadow tree, so nothing can be above or beside it
+  for (const [side, parsedSelector] of parsed.entries()) {
+    const depth = parsedSelector.findIndex((parsedSiblingGroup) =>
+      parsedSiblingGroup.tokens.find(isHostState)
+    );
+    if (
+      depth !== -1 &&
+      (depth < parsedSelector.length - 1 ||
+        parsedSelector[depth].tokens.length > 1)
+    ) {
+      const tokens = parsedSelector[depth].tokens;
+      const sibling = tokens.findIndex(isHostState);
+      const host = stringifyState(context, tokens[sibling]);
+      return {
+        sides: [side],
+        compounds: [host],
+        position: { depth, sibling },
+        kind: 'structure',
+        constraints: [host],
+        message:
+          depth < parsedSelector.length - 1
+            ? `The shadow host ${host} can't have an ancestor`
+            : `The shadow host ${host} can't have siblings`
+      };
+    }
+  }
+
+  const depth = findConflictingDepth(context, parsed);
+  if (depth === -1) {
+    return null;
+  }
+
+  const siblingGroups = [parsed[0][depth], parsed[1][depth]];
+  const universalState = { pseudoClasses: [], attributes: [] };
+  for (
+    let sibling = 0;
+    sibling <
+    Math.max(siblingGroups[0].tokens.length, siblingGroups[1].tokens.length);
+    sibling++
+  ) {
+    const states = siblingGroups.map(
+      (siblingGroup) => siblingGroup.tokens[sibling] || universalState
+    );
+    const explanation = explainStates(context, states[0], states[1]);
+    if (explanation) {
+      return {
+        sides: explanation.sides,
+        compounds: explanation.sides.map((side) =>
+          stringifyState(context, states[side])
+        ),
+        position: { depth, sibling },
+        kind: explanation.kind,
+        constraints: explanation.constraints,
+        message: explanation.message
+      };
+    }
+  }
+
+  const contents = siblingGroups.map((siblingGroup) =>
+    stringifySiblingGroup(context, toSiblingGroup(siblingGroup, ''))
+  );
+  return {
+    sides: [0, 1],
+    compounds: contents,
+    position: { depth, sibling: 0 },
+    kind: 'structure',
+    constraints: contents,
+    message: `The siblings of ${contents[0]} and ${contents[1]} can't be laid out together`
+  };
+}
+
+/**
+ * Explains why selectors don't intersect, for every comma-separated part that
+ * doesn't intersect with a part of another selector
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {...string} selectors A list of selectors
+ * @returns {{ intersection: string; conflicts: Conflict[] }} The intersection
+ *   and the conflicts found, the conflicts are only empty if nothing conflicts
+ */
+function explainIntersection(context, ...selectors) {
+  const intersection = intersectSelectors(context, ...selectors);
+  const conflicts = [];
+
+  const addConflicts = (selector1, selector2, sideIndexes) => {
+    parseSelector(context, selector1).forEach((parsedSelector1) => {
+      parseSelector(context, selector2).forEach((parsedSelector2) => {
+        expandParsedSelector(context, parsedSelector1).forEach(
+          (expandedSelector1) => {
+            expandParsedSelector(context, parsedSelector2).forEach(
+              (expandedSelector2) => {
+                const explanation = explainParsedSelectors(context, [
+                  expandedSelector1,
+                  expandedSelector2
+                ]);
+                if (!explanation) {
+                  return;
+                }
+
+                const { sides, ...conflict } = explanation;
+                const record = {
+                  selectors: [
+                    ...new Set(sides.flatMap((side) => sideIndexes[side]))
+                  ],
+                  ...conflict
+                };
+                if (
+                  !conflicts.find(
+                    (otherRecord) =>
+                      JSON.stringify(otherRecord) === JSON.stringify(record)
+                  )
+                ) {
+                  conflicts.push(record);
+                }
+              }
+            );
+          }
+        );
+      });
+    });
+  };
+
+  // A single selector is checked against one that matches everything, the way
+  // it is intersected
+  if (selectors.length === 1 && selectors[0] !== '') {
+    addConflicts(selectors[0], '*|*', [[0], [0]]);
+  }
+  selectors.forEach((selector1, selectorIndex1) => {
+    selectors.slice(selectorIndex1 + 1).forEach((selector2, offset) => {
+      if (selector1 !== '' && selector2 !== '') {
+        addConflicts(selector1, selector2, [
+          [selectorIndex1],
+          [selectorIndex1 + offset + 1]
+        ]);
+      }
+    });
+  });
+
+  // Only some of the selectors together conflict, so explain the first
+  // selector that makes the intersection of the ones before it empty
+  if (
+    intersection === '' &&
+    conflicts.length === 0 &&
+    !selectors.includes('')
+  ) {
+    for (let index = 2; index < selectors.length; index++) {
+      const before = intersectSelectors(context, ...selectors.slice(0, index));
+      if (intersectSelectors(context, before, selectors[index]) === '') {
+        addConflicts(before, selectors[index], [
+          selectors.slice(0, index).map((selector, beforeIndex) => beforeIndex),
+          [index]
+        ]);
+        break;
+      }
+    }
+  }
+
+  return { intersection, conflicts };
+}
+
+/**
+ * @type {Object<string, string>} The URIs of well-known namespace prefixes,
+ *   used when a witness has to put an element or an attribute in a namespace
+ *   whose prefix isn't declared
+ */
+const wellKnownNamespaces = {
+  html: 'http://www.w3.org/1999/xhtml',
+  xhtml: 'http://www.w3.org/1999/xhtml',
+  svg: 'http://www.w3.org/2000/svg',
+  math: 'http://www.w3.org/1998/Math/MathML',
+  mathml: 'http://www.w3.org/1998/Math/MathML',
+  xlink: 'http://www.w3.org/1999/xlink'
+};
+
+/**
+ * Finds values that match every assertion on one attribute at once, the
+ * simplest first. Each one is tried with a character put in too, which gives
+ * other values to pick from when a :not() matches it
+ *
+ * @param {SelectorState['attributes']} attributes The assertions on the
+ *   attribute
+ * @returns {string[]} The values, empty if none could be found
+ */
+function attributeValueCandidates(attributes) {
+  const valuesOf = (operator) =>
+    attributes
+      .filter((attribute) => attribute.operator === operator)
+      .map((attribute) => attribute.value);
+  const longest = (values) =>
+    values.reduce(
+      (longestValue, value) =>
+        value.length > longestValue.length ? value : longestValue,
+      ''
+    );
+
+  const candidates = valuesOf('=');
+  if (candidates.length === 0) {
+    const prefix = longest([
+      ...valuesOf('^='),
+      ...valuesOf('|=').map((value) => `${value}-`)
+    ]);
+    const suffix = longest(valuesOf('$='));
+    const substrings = valuesOf('*=');
+
+    candidates.push(
+      ...valuesOf('|='),
+      `${prefix}${substrings.join('')}${suffix}`,
+      // Words of ~= need whitespace around them
+      [prefix, ...new Set(valuesOf('~=')), ...substrings, suffix]
+        .filter((part) => part !== '')
+        .join(' ')
+    );
+  }
+
+  const variants = candidates.flatMap((candidate) =>
+    ['-', 'x'].flatMap((filler) =>
+      [...Array(candidate.length + 1).keys()].map(
+        (index) =>
+          `${candidate.slice(0, index)}${filler}${candidate.slice(index)}`
+      )
+    )
+  );
+  return [...new Set([...candidates, ...variants])].filter((candidate) =>
+    attributes.every((attribute) => matchesAttributeValue(candidate, attribute))
   );
+}
 
-  return finalState;
+/**
+ * Escapes a string to be put in a double-quoted HTML attribute value
+ *
+ * @param {string} value The string to escape
+ * @returns {string} The escaped string
+ */
+function escapeAttributeValue(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
 }
 
 /**
- * Stringifies the state of a selector
+ * @typedef {Object} WitnessElement
+ * @property {string} tagName The tag name of the element
+ * @property {string | undefined} namespace The namespace of the element,
+ *   undefined if it doesn't declare one
+ * @property {string} attributes The serialized attributes of the element
+ * @property {boolean} isVoid Whether the element can't have any children
+ */
+
+/** @type {string[]} The tag names to pick from for an element of any type */
+const witnessTagNames = ['div', 'span', 'p', 'section'];
+
+/**
+ * Finds an element that matches a selector state, with a tag name and
+ * attribute values that none of the compound selectors in its :not() match.
+ * Pseudo-classes aren't represented, so negations with any are left out
  *
- * @param {SelectorState} state The state to stringify
- * @returns {string} The stringified selector
+ * @param {Context} context The options the selectors are read and written with
+ * @param {SelectorState} state The state the element has to match
+ * @returns {WitnessElement | null} The element, null if the attribute
+ *   assertions and the negations can't be met
  */
-function stringifyState(state) {
-  let result = '';
+function solveWitnessElement(context, state) {
+  const namespace = isNamespaced(state.namespace) ? state.namespace : undefined;
+  const compareName = (name) =>
+    context.documentLanguage === 'xml' ? name : name.toLowerCase();
 
-  if (state.namespace && state.namespace !== '*') {
-    result = `${state.namespace}|`;
-  }
-  if (state.type) {
-    result += state.type;
-  }
+  const attributesByKey = new Map();
+  const addAttribute = (key, attribute) =>
+    attributesByKey.set(key, [...(attributesByKey.get(key) || []), attribute]);
 
-  if (state.pseudoElement) {
-    result += `::${state.pseudoElement}`;
+  if (namespace !== undefined) {
+    addAttribute('xmlns', {
+      key: 'xmlns',
+      operator: '=',
+      value: wellKnownNamespaces[namespace] || namespace,
+      caseSensitive: true
+    });
   }
+  [
+    ...state.attributes.filter((attribute) => attribute.key === 'id'),
+    ...state.attributes.filter((attribute) => attribute.key === 'class'),
+    ...state.attributes.filter(
+      (attribute) => !['id', 'class'].includes(attribute.key)
+    )
+  ].forEach((attribute) => {
+    const [prefix, name] = splitAttributeKey(attribute.key);
 
-  const classes = [];
-  const ids = [];
-  let attributeResult = '';
-  state.attributes.forEach((attribute) => {
-    if (attribute.operator === '~=' && attribute.key === 'class') {
-      classes.push(attribute.value);
-    } else if (attribute.operator === '=' && attribute.key === 'id') {
-      ids.push(attribute.value);
-    } else if (attribute.operator === '') {
-      attributeResult += `[${attribute.key}]`;
-    } else if (attribute.value.includes("'")) {
-      if (attribute.value.includes('"')) {
-        attributeResult += `[${attribute.key}${attribute.operator}${
-          attribute.value
-        }${attribute.caseSensitive ? '' : ' i'}]`;
-      } else {
-        attributeResult += `[${attribute.key}${attribute.operator}="${
-          attribute.value
-        }"${attribute.caseSensitive ? '' : ' i'}]`;
-      }
+    // An attribute without a namespace matches any namespace
+    if (prefix === undefined || prefix === '*') {
+      addAttribute(name, attribute);
     } else {
-      attributeResult += `[${attribute.key}${attribute.operator}'${
-        attribute.value
-      }'${attribute.caseSensitive ? '' : ' i'}]`;
+      addAttribute(`xmlns:${prefix}`, {
+        key: `xmlns:${prefix}`,
+        operator: '=',
+        value: context.namespaces.has(prefix)
+          ? context.namespaces.get(prefix)
+          : wellKnownNamespaces[prefix] || prefix,
+        caseSensitive: true
+      });
+      addAttribute(`${prefix}:${name}`, attribute);
     }
   });
 
-  classes.forEach((cssClass) => {
-    result += `.${cssClass}`;
-  });
-
-  result = result + attributeResult;
+  const negatedStates = state.pseudoClasses
+    .filter((pseudoClass) => pseudoClass.name === 'not' && pseudoClass.argument)
+    .flatMap((pseudoClass) => parsedArgument(context, pseudoClass))
+    .flatMap((negation) =>
+      negation.state ? expandState(context, negation.state) : []
+    )
+    .filter(
+      (negatedState) =>
+        negatedState.pseudoClasses.length === 0 && !negatedState.pseudoElements
+    );
 
-  state.pseudoClasses.forEach((pseudoClass) => {
-    result += `:${pseudoClass.name}${
-      pseudoClass.argument ? `(${pseudoClass.argument})` : ''
-    }`;
-  });
+  // Attributes in namespaces are written as prefix:name
+  const isNegatedKey = (key, negatedKey) => {
+    const [prefix, name] = splitAttributeKey(negatedKey);
+    if (prefix !== '*') {
+      return key === (prefix === undefined ? name : `${prefix}:${name}`);
+    }
+    return (
+      key !== 'xmlns' &&
+      !key.startsWith('xmlns:') &&
+      key.slice(key.indexOf(':') + 1) === name
+    );
+  };
+  const isNegated = (tagName, values) =>
+    negatedStates.some(
+      (negatedState) =>
+        (!negatedState.type ||
+          negatedState.type === '*' ||
+          compareName(negatedState.type) === compareName(tagName)) &&
+        // An element without a namespace of its own can be in either of these
+        (!isNamespaced(negatedState.namespace) ||
+          (namespace === undefined
+            ? ['', htmlNamespace].includes(negatedState.namespace)
+            : negatedState.namespace === namespace)) &&
+        negatedState.attributes.every((negatedAttribute) =>
+          values.find(
+            ([key, value]) =>
+              isNegatedKey(key, negatedAttribute.key) &&
+              matchesAttributeValue(value, negatedAttribute)
+          )
+        )
+    );
 
-  ids.forEach((id) => {
-    result += `#${id}`;
+  // Only the attributes that a negation asserts have to be picked among their values
+  const choices = [...attributesByKey].map(([key, attributes]) => {
+    const candidates = attributeValueCandidates(attributes);
+    const isAsserted = negatedStates.some((negatedState) =>
+      negatedState.attributes.some((negatedAttribute) =>
+        isNegatedKey(key, negatedAttribute.key)
+      )
+    );
+    return (isAsserted ? candidates : candidates.slice(0, 1)).map(
+      (candidate) => [key, candidate]
+    );
   });
-
-  return result;
-}
-
-function intersectSelectors(...selectors) {
-  if (selectors.length === 1) {
-    return selectors[0];
-  } else if (selectors.length === 0) {
-    return '';
+  if (choices.some((candidates) => candidates.length === 0)) {
+    return null;
   }
 
-  // Recursively find intersection of rest first
-  if (selectors.length !== 2) {
-    selectors = [selectors[0], intersectSelectors(...selectors.slice(1))];
-  } else if (selectors.length === 1) {
-    return selectors[0];
+  const tagNames =
+    state.type && state.type !== '*' ? [state.type] : witnessTagNames;
+  for (const tagName of tagNames) {
+    const values = cartesianProduct(choices).find(
+      (candidateValues) => !isNegated(tagName, candidateValues)
+    );
+    if (values) {
+      return {
+        tagName,
+        namespace,
+        attributes: values
+          .map(([key, value]) => ` ${key}="${escapeAttributeValue(value)}"`)
+          .join(''),
+        isVoid:
+          (namespace === undefined || namespace === htmlNamespace) &&
+          voidElements.includes(tagName.toLowerCase())
+      };
+    }
   }
+  return null;
+}
 
-  // If no intersection then say so
-  if (selectors.includes('')) {
-    return '';
+/**
+ * Stringifies an element of a witness
+ *
+ * @param {WitnessElement} element The element
+ * @param {string} content The HTML inside the element
+ * @param {boolean} isTarget Whether the element is the one the selectors
+ *   match, which gets marked with a `data-witness-target` attribute
+ * @returns {string | null} The element, null if it is a void element and has
+ *   content
+ */
+function stringifyWitnessElement(element, content, isTarget) {
+  if (element.isVoid && content !== '') {
+    return null;
   }
 
-  let parsed = selectors.map(parsel.tokenize);
+  const { tagName } = element;
+  const attributes = `${element.attributes}${
+    isTarget ? ' data-witness-target=""' : ''
+  }`;
 
-  // Split into array of comma-separated selectors
-  parsed = parsed.map((parsedSelector) =>
-    parsedSelector.reduce(
-      (accumulatorParts, part) =>
-        part.type === 'comma'
-          ? [...accumulatorParts, []]
-          : [
-              ...accumulatorParts.slice(0, -1),
-              accumulatorParts.slice(-1)[0].concat(part)
-            ],
-      [[]]
-    )
-  );
+  // Closing void elements keeps the fragment well-formed XML
+  return element.isVoid
+    ? `<${tagName}${attributes} />`
+    : `<${tagName}${attributes}>${content}</${tagName}>`;
+}
 
-  // parsed, right now:
-  // Array<       // The main array of selectors
-  //   Array<     // An array of comma-separated subselectors
-  //     Array<   // An array of tokens in those subselectors
-  //       Token
-  //     >
-  //   >
-  // >
+/** @type {number} The most elements added before or after siblings */
+const maxWitnessFillers = 100;
+
+/**
+ * Lays out the elements of a group of siblings along with the elements that
+ * have to come before and after them for their An+B pseudo-classes, e.g. a
+ * first child before `p:nth-child(2)`. An+B pseudo-classes with `of S` aren't
+ * laid out for
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {SiblingGroup} siblingGroup The group of siblings
+ * @param {WitnessElement[]} elements The element found for each state of the
+ *   group
+ * @returns {{ element: WitnessElement; stateIndex: number }[] | null} The
+ *   siblings in order, with the index of the state of each element or -1 for
+ *   the added ones, null if the positions can't be met
+ */
+function layOutWitnessSiblings(context, siblingGroup, elements) {
+  const compareName = (name) =>
+    context.documentLanguage === 'xml' ? name : name.toLowerCase();
+  const isSameType = (element1, element2) =>
+    compareName(element1.tagName) === compareName(element2.tagName) &&
+    element1.namespace === element2.namespace;
 
-  // If the selector is comma-separated, map each part onto each one of the others
-  // E.g.
-  // (a ∪ b) ∩ (c ∪ d)
-  // a --------> c <-|
-  //   |---------▼   |
-  // b --------> d   |
-  // |----------------
-  // This will be ('a' ∩ 'c') ∪ ('a' ∩ 'd') ∪ ('b' ∩ 'c') ∪ ('b' ∩ 'd')
-  // Basically the distributive property applied in set theory
-  if (parsed.find((parsedSelector) => parsedSelector.length > 1)) {
-    let parsedMap = parsed[0].reduce((accumulatorMap, currentlyParsed) => {
-      parsed[1].forEach((secondParsedSelector) => {
-        accumulatorMap.push([currentlyParsed, secondParsedSelector]);
+  const firstPosition = parseNth('1').range;
+  const positions = siblingGroup.states.map((state) =>
+    state.pseudoClasses.flatMap((pseudoClass) => {
+      if (['only-child', 'only-of-type'].includes(pseudoClass.name)) {
+        const suffix = pseudoClass.name.slice('only-'.length);
+        return [
+          { name: `nth-${suffix}`, range: firstPosition },
+          { name: `nth-last-${suffix}`, range: firstPosition }
+        ];
+      }
+      const nth = parseNthPseudoClass(pseudoClass);
+      return nth && !nth.of ? [nth] : [];
+    })
+  );
+  const fits = (siblings, siblingIndex, nths) =>
+    nths.every(({ name, range }) => {
+      const count = (
+        name.includes('last')
+          ? siblings.slice(siblingIndex)
+          : siblings.slice(0, siblingIndex + 1)
+      ).filter(
+        (sibling) =>
+          !name.endsWith('of-type') ||
+          isSameType(sibling.element, siblings[siblingIndex].element)
+      ).length;
+      return !!intersectNthRanges(range, {
+        modulus: 1,
+        residue: 0,
+        min: count,
+        max: count
       });
-      return accumulatorMap;
-    }, []);
-    parsedMap = parsedMap.map((parsedMapEntry) =>
-      intersectSelectors(
-        ...parsedMapEntry.map((parsedMapEntryPart) =>
-          parsedMapEntryPart
-            .map((parsedMapEntryPartToken) => parsedMapEntryPartToken.content)
-            .join('')
-        )
+    });
+  const fitsAll = (siblings) =>
+    siblings.every(
+      (sibling, siblingIndex) =>
+        sibling.stateIndex === -1 ||
+        fits(siblings, siblingIndex, positions[sibling.stateIndex])
+    );
+
+  // The added elements count as children, and as elements of a type when they
+  // have it
+  const otherTagName = witnessTagNames.find(
+    (tagName) =>
+      !elements.find((element) =>
+        isSameType(element, { tagName, namespace: undefined })
       )
+  );
+  const other = solveWitnessElement(context, {
+    type: otherTagName,
+    pseudoClasses: [],
+    attributes: []
+  });
+  const fillerOfType = (element) =>
+    solveWitnessElement(context, {
+      type: element.tagName,
+      namespace: element.namespace,
+      pseudoClasses: [],
+      attributes: []
+    });
+  const fillers = (counts, types) =>
+    counts.flatMap((count, typeIndex) =>
+      Array(count).fill({ element: types[typeIndex], stateIndex: -1 })
     );
-    return parsedMap.filter((intersection) => intersection !== '').join(', ');
-  } else {
-    // Do the real stuff here
-
-    // We are flattening because there is a redundant Array in between
-    // Reversing because the end result lies in the end part of the selector
-    // The starting can be a parent or the result
-    parsed = parsed.map((parsedSelector) => parsedSelector[0].reverse());
-
-    // Group siblings and split by combinators
-    parsed = parsed.map((parsedSelector) =>
-      parsedSelector.reduce(
-        (accumulatorParts, part) =>
-          part.type === 'combinator'
-            ? ['~', '+'].includes(part.content)
-              ? [
-                  ...accumulatorParts.slice(0, -1),
-                  {
-                    type: accumulatorParts.slice(-1)[0].type,
-                    tokens: [...accumulatorParts.slice(-1)[0].tokens, []]
-                  }
-                ]
-              : [
-                  ...accumulatorParts,
-                  {
-                    type: part.content === '>' ? 'parent' : 'ancestor',
-                    tokens: []
-                  }
-                ]
-            : [
-                ...accumulatorParts.slice(0, -1),
-                {
-                  type: accumulatorParts.slice(-1)[0].type,
-                  tokens: [
-                    ...accumulatorParts.slice(-1)[0].tokens.slice(0, -1),
-                    [
-                      ...(accumulatorParts.slice(-1)[0].tokens.slice(-1)[0] ||
-                        []),
-                      part
-                    ]
-                  ]
-                }
-              ],
-        [{ type: '', tokens: [] }]
+  const distributions = (total, size) =>
+    size === 1
+      ? [[total]]
+      : [...Array(total + 1).keys()].flatMap((first) =>
+          distributions(total - first, size - 1).map((rest) => [first, ...rest])
+        );
+  // Only the types that positions of a type are counted in are added
+  const fillerTypes = (stateIndexes, name) => [
+    other,
+    ...stateIndexes
+      .filter(
+        (stateIndex, index) =>
+          positions[stateIndex].some((nth) => nth.name === name) &&
+          stateIndexes.findIndex((otherIndex) =>
+            isSameType(elements[otherIndex], elements[stateIndex])
+          ) === index
       )
+      .map((stateIndex) => fillerOfType(elements[stateIndex]))
+  ];
+  // Positions repeat with their step, so more elements than that don't help
+  const findFillers = (types, nths, isPlaced) => {
+    const most = Math.min(
+      maxWitnessFillers,
+      nths.reduce((total, { range }) => total + range.min + range.modulus, 0)
     );
+    for (let total = 0; total <= most; total++) {
+      const counts = distributions(total, types.length).find((candidate) =>
+        isPlaced(fillers(candidate, types))
+      );
+      if (counts) {
+        return fillers(counts, types);
+      }
+    }
+    return null;
+  };
 
-    // Ensure same depth for both selectors, e.g. a > b and c ---> a > b and * > c
-    if (parsed[0].length !== parsed[1].length) {
-      const editedPart = parsed[0].length > parsed[1].length ? 1 : 0;
-      parsed[editedPart] = [
-        ...parsed[editedPart],
-        ...parsed[editedPart === 0 ? 1 : 0]
-          .slice(parsed[editedPart].length)
-          .map((parsedSelectorPart) => ({
-            ...parsedSelectorPart,
-            tokens: [[{ type: 'type', content: '*', name: '*' }]]
-          }))
-      ];
+  // Each run of siblings joined by + is placed at the first position its
+  // elements can be at after the ones before it, as ~ allows elements between
+  let siblings = [];
+  for (let runStart = 0; runStart < elements.length; ) {
+    let runEnd = runStart + 1;
+    while (
+      runEnd < elements.length &&
+      siblingGroup.siblingCombinators[runEnd - 1] === '+'
+    ) {
+      runEnd++;
     }
+    const run = elements
+      .slice(runStart, runEnd)
+      .map((element, offset) => ({ element, stateIndex: runStart + offset }));
 
-    // Extract info as an object for tokens
-    parsed = parsed.map((parsedSelector) =>
-      parsedSelector.map((parsedSelectorSiblingGroup) => ({
-        ...parsedSelectorSiblingGroup,
-        tokens: parsedSelectorSiblingGroup.tokens.map((sibling) =>
-          extractInfo(sibling)
+    const preceding = run.map((sibling) =>
+      positions[sibling.stateIndex].filter((nth) => !nth.name.includes('last'))
+    );
+    const added = findFillers(
+      fillerTypes(
+        run.map((sibling) => sibling.stateIndex),
+        'nth-of-type'
+      ),
+      preceding.flat(),
+      (candidate) =>
+        run.every((sibling, offset) =>
+          fits(
+            [...siblings, ...candidate, ...run],
+            siblings.length + candidate.length + offset,
+            preceding[offset]
+          )
         )
-      }))
     );
+    if (!added) {
+      return null;
+    }
+    siblings = [...siblings, ...added, ...run];
+    runStart = runEnd;
+  }
 
-    // Now parsed is:
-    // Array<                    // The main array of selectors
-    //   Array<                  // Arrays of sibling groups
-    //     {
-    //       type: string;       // Type of relationship change, parent or ancestor or empty string for none
-    //       tokens: Array<      // Array of selector states on siblings
-    //         SelectorState     // See `extractInfo`
-    //       >
-    //     }
-    //   >
-    // >
-
-    let parsedSideBySide = Array.from(parsed[0]);
-
-    // Merges the two arrays so we can look at corresponding values while iterating it
-    parsed[1].forEach((parsedSelectorPart, parsedSelectorPartIndex) => {
-      parsedSideBySide[parsedSelectorPartIndex] = [
-        parsedSideBySide[parsedSelectorPartIndex],
-        parsedSelectorPart
-      ];
-    });
+  // Then the elements after the last sibling are added for the positions from
+  // the end
+  const following = findFillers(
+    fillerTypes([...elements.keys()], 'nth-last-of-type'),
+    positions.flat().filter((nth) => nth.name.includes('last')),
+    (candidate) => fitsAll([...siblings, ...candidate])
+  );
+  return following && [...siblings, ...following];
+}
 
-    parsedSideBySide = parsedSideBySide.map((parsedSiblingGroup) => {
-      if (parsedSiblingGroup[0].type !== parsedSiblingGroup[1].type) {
-        return [
-          {
-            states:
-              parsedSiblingGroup[
-                parsedSiblingGroup[0].type === 'parent' ? 1 : 0
-              ].tokens,
-            combinator: ' '
-          },
-          {
-            states:
-              parsedSiblingGroup[
-                parsedSiblingGroup[0].type === 'parent' ? 0 : 1
-              ].tokens,
-            combinator: '>'
-          }
-        ];
-      } else if (parsedSiblingGroup[0].type === 'ancestor') {
-        return [
-          { states: parsedSiblingGroup[0].tokens.reverse(), combinator: ' ' },
-          { states: parsedSiblingGroup[1].tokens.reverse(), combinator: ' ' }
-        ].filter((group) => group.states[0].type !== '*');
+/**
+ * Builds an HTML fragment with an element that matches every one of the
+ * selectors. Ancestors and siblings are added for the combinators and for the
+ * An+B pseudo-classes, and the attributes, classes, ids and namespaces of each
+ * compound are set so that the compound selectors in its :not() don't match,
+ * while other pseudo-classes and pseudo-elements aren't represented. The
+ * element the selectors match has a `data-witness-target` attribute.
+ * Namespaced elements only get their namespace when the fragment is parsed as
+ * XML
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {...string} selectors A list of selectors, or their intersection
+ * @returns {string} The HTML fragment, empty if the selectors don't intersect
+ */
+function generateWitness(context, ...selectors) {
+  for (const branch of intersectSelectorsToBranches(context, selectors)) {
+    let html = '';
+    for (
+      let siblingGroupIndex = branch.length - 1;
+      siblingGroupIndex >= 0 && html !== null;
+      siblingGroupIndex--
+    ) {
+      const siblingGroup = branch[siblingGroupIndex];
+      const elements = siblingGroup.states.map((state) =>
+        solveWitnessElement(context, state)
+      );
+      const siblings = elements.includes(null)
+        ? null
+        : layOutWitnessSiblings(context, siblingGroup, elements);
+      if (!siblings) {
+        html = null;
+        break;
       }
 
-      const intersection = intersects(
-        parsedSiblingGroup[0].tokens[0],
-        parsedSiblingGroup[1].tokens[0]
+      const lastStateIndex = siblingGroup.states.length - 1;
+      const strings = siblings.map(({ element, stateIndex }) =>
+        stringifyWitnessElement(
+          element,
+          stateIndex === lastStateIndex ? html : '',
+          siblingGroupIndex === branch.length - 1 &&
+            stateIndex === lastStateIndex
+        )
       );
+      html = strings.includes(null) ? null : strings.join('');
+    }
 
-      if (intersection) {
-        return {
-          states: [
-            ...parsedSiblingGroup[1].tokens.slice(1),
-            ...parsedSiblingGroup[0].tokens.slice(1),
-            intersection
-          ],
-          combinator:
-            parsedSiblingGroup[0].type === 'parent'
-              ? '>'
-              : parsedSiblingGroup[0].type === 'ancestor'
-              ? ' '
-              : ''
-        };
-      } else {
-        return false;
+    if (html !== null) {
+      return html;
+    }
+  }
+
+  return '';
+}
+
+/**
+ * @type {('id' | 'type' | 'pseudoElement')[]} The parts of a compound selector
+ *   that two compound selectors matching the same element can't have different
+ *   values for
+ */
+const exclusiveParts = ['id', 'type', 'pseudoElement'];
+
+/**
+ * Finds the key of a compound selector made of a single simple selector, as
+ * used in :not()
+ *
+ * @param {SelectorState} state The compound selector
+ * @returns {string | null} The key, such as `a`, `#id`, `.class` or `[attr]`,
+ *   or null if the compound selector isn't a single simple selector
+ */
+function simpleSelectorKey(state) {
+  if (
+    state.pseudoElements ||
+    state.pseudoClasses.length > 0 ||
+    isNamespaced(state.namespace)
+  ) {
+    return null;
+  } else if (state.type && state.type !== '*') {
+    return state.attributes.length === 0 ? state.type : null;
+  } else if (state.attributes.length !== 1) {
+    return null;
+  }
+
+  const [attribute] = state.attributes;
+  if (attribute.operator === '') {
+    return `[${attribute.key}]`;
+  } else if (!attribute.caseSensitive) {
+    return null;
+  } else if (attribute.key === 'id' && attribute.operator === '=') {
+    return `#${attribute.value}`;
+  } else if (attribute.key === 'class' && attribute.operator === '~=') {
+    return `.${attribute.value}`;
+  }
+  return null;
+}
+
+/**
+ * @typedef {Object} IndexedCompound
+ * @property {ReturnType<typeof parseComplexSelector>} parsedSelector The
+ *   reversed selector the compound selector is the subject of, with its :is()
+ *   and :where() expanded
+ * @property {string | null} id The id of the compound selector
+ * @property {string | null} type The tag name of the compound selector
+ * @property {string | null} pseudoElement The names of the pseudo-elements of
+ *   the compound selector, such as `::part::before`
+ * @property {string[]} keys The keys of the simple selectors the compound
+ *   selector has, see `simpleSelectorKey`
+ * @property {string[]} negatedKeys The keys of the simple selectors the
+ *   compound selector has in a :not()
+ */
+
+/**
+ * Breaks a selector up into the rightmost compound selectors of its branches,
+ * along with what is needed to find out quickly which other compound selectors
+ * they can't match the same element as
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @param {string} selector The selector
+ * @returns {IndexedCompound[]} A compound selector for every comma-separated
+ *   part and every way of expanding its :is() and :where()
+ */
+function indexSelector(context, selector) {
+  const isKnownKey = (key, keyIndex, keys) =>
+    key !== null && keys.indexOf(key) === keyIndex;
+
+  return parseSelector(context, selector)
+    .reduce(
+      (variants, parsedSelector) =>
+        variants.concat(expandParsedSelector(context, parsedSelector)),
+      []
+    )
+    .map((parsedSelector) => {
+      const state = parsedSelector[0].tokens[0];
+      const id = state.attributes.find(
+        (attribute) =>
+          attribute.key === 'id' &&
+          attribute.operator === '=' &&
+          attribute.caseSensitive
+      );
+
+      return {
+        parsedSelector,
+        id: id ? id.value : null,
+        type: state.type && state.type !== '*' ? state.type : null,
+        pseudoElement: state.pseudoElements
+          ? state.pseudoElements
+              .map((pseudoElement) => `::${pseudoElement.name}`)
+              .join('')
+          : null,
+        keys: [
+          ...(state.type && state.type !== '*' ? [state.type] : []),
+          ...state.attributes.map((attribute) =>
+            simpleSelectorKey({ pseudoClasses: [], attributes: [attribute] })
+          ),
+          ...state.attributes.map((attribute) => `[${attribute.key}]`)
+        ].filter(isKnownKey),
+        negatedKeys: state.pseudoClasses
+          .filter((pseudoClass) => pseudoClass.name === 'not')
+          .reduce(
+            (negatedKeys, pseudoClass) =>
+              negatedKeys.concat(
+                parsedArgument(context, pseudoClass).map((negation) =>
+                  negation.state ? simpleSelectorKey(negation.state) : null
+                )
+              ),
+            []
+          )
+          .filter(isKnownKey)
+      };
+    });
+}
+
+/**
+ * @typedef {Object} SelectorIndex
+ * @property {(selector: string, value?: any) => void} add Adds a selector,
+ *   along with the value to give back for it (the selector itself by default).
+ *   Adding a value that is already in the index replaces its selector
+ * @property {(value: any) => boolean} remove Removes the selector added with a
+ *   value, giving whether there was one
+ * @property {(selector: string) => any[]} query Gives the values of the
+ *   selectors that can match the same element as a selector, in the order they
+ *   were added
+ * @property {() => [any, any][]} pairs Gives the values of every two selectors
+ *   in the index that can match the same element, the one added first first
+ * @property {number} size The number of selectors in the index
+ */
+
+/**
+ * Creates an index of selectors to find the ones that can match the same
+ * element as a selector without intersecting it with every one of them. The
+ * rightmost compound selectors are kept in buckets by their id, tag name,
+ * pseudo-element, classes and attribute names, and only the ones in the
+ * buckets that can't conflict go through the full check
+ *
+ * @param {Context} context The options the selectors are read and written with
+ * @returns {SelectorIndex} The empty index
+ */
+function createSelectorIndex(context) {
+  /** @type {Map<any, { order: number; compounds: IndexedCompound[] }>} */
+  const entries = new Map();
+  /** @type {Set<IndexedCompound>} */
+  const compounds = new Set();
+  /**
+   * @type {{
+   *   [part in 'id' | 'type' | 'pseudoElement' | 'keys' | 'negatedKeys']: Map<
+   *     string | null,
+   *     Set<IndexedCompound>
+   *   >;
+   * }}
+   */
+  const buckets = {
+    id: new Map(),
+    type: new Map(),
+    pseudoElement: new Map(),
+    keys: new Map(),
+    negatedKeys: new Map()
+  };
+  /** @type {Map<IndexedCompound, any>} */
+  const values = new Map();
+  let order = 0;
+
+  const bucketKeys = (compound, part) =>
+    Array.isArray(compound[part]) ? compound[part] : [compound[part]];
+  const bucketSize = (part, key) =>
+    buckets[part].has(key) ? buckets[part].get(key).size : 0;
+
+  /**
+   * Finds the compound selectors in the index that have no id, tag name or
+   * pseudo-element that conflicts with a compound selector, and that no :not()
+   * rules out
+   *
+   * @param {IndexedCompound} compound The compound selector
+   * @returns {IndexedCompound[]} The compound selectors that could match the
+   *   same element
+   */
+  const findCandidates = (compound) => {
+    const excluded = new Set();
+    [
+      ['keys', compound.negatedKeys],
+      ['negatedKeys', compound.keys]
+    ].forEach(([part, keys]) =>
+      keys.forEach((key) =>
+        (buckets[part].get(key) || []).forEach((otherCompound) =>
+          excluded.add(otherCompound)
+        )
+      )
+    );
+
+    // Start from the smallest buckets, the ones with the same value or none
+    let candidates = compounds;
+    let candidatesSize = compounds.size;
+    exclusiveParts.forEach((part) => {
+      if (compound[part] === null) {
+        return;
+      }
+      const size = bucketSize(part, compound[part]) + bucketSize(part, null);
+      if (size < candidatesSize) {
+        candidates = [
+          ...(buckets[part].get(compound[part]) || []),
+          ...(buckets[part].get(null) || [])
+        ];
+        candidatesSize = size;
       }
     });
 
-    if (parsedSideBySide.includes(false)) {
-      return '';
-    } else {
-      let switchIndexes = [];
-      const result = parsedSideBySide
-        .reverse()
-        .reduce((accumulatorSiblingGroups, siblingGroup, siblingGroupIndex) => {
-          if (Array.isArray(siblingGroup)) {
-            if (siblingGroup[0].states[0].pseudoClasses[0].name === 'scope')
-              return accumulatorSiblingGroups;
-            accumulatorSiblingGroups =
-              accumulatorSiblingGroups.concat(siblingGroup);
-            if (
-              siblingGroup.every(
-                (siblingGroupPart) => siblingGroupPart.combinator === ' '
-              ) &&
-              siblingGroup.length === 2
-            ) {
-              switchIndexes.push(accumulatorSiblingGroups.length - 2);
+    return [...candidates].filter(
+      (otherCompound) =>
+        !excluded.has(otherCompound) &&
+        exclusiveParts.every(
+          (part) =>
+            compound[part] === null ||
+            otherCompound[part] === null ||
+            compound[part] === otherCompound[part]
+        )
+    );
+  };
+
+  /**
+   * Finds the entries with a compound selector that can match the same element
+   * as one of the given compound selectors
+   *
+   * @param {IndexedCompound[]} selectorCompounds The compound selectors
+   * @param {number} [maxOrder=Infinity] Only entries added before this one are
+   *   looked at. Default is `Infinity`
+   * @returns {any[]} The values of the entries, in the order they were added
+   */
+  const findIntersecting = (selectorCompounds, maxOrder = Infinity) => {
+    const found = new Set();
+    selectorCompounds.forEach((compound) =>
+      findCandidates(compound).forEach((candidate) => {
+        const value = values.get(candidate);
+        if (
+          !found.has(value) &&
+          entries.get(value).order < maxOrder &&
+          findConflictingDepth(context, [
+            compound.parsedSelector,
+            candidate.parsedSelector
+          ]) === -1
+        ) {
+          found.add(value);
+        }
+      })
+    );
+    return [...found].sort(
+      (value1, value2) => entries.get(value1).order - entries.get(value2).order
+    );
+  };
+
+  const index = {
+    add(selector, value = selector) {
+      const selectorCompounds = indexSelector(context, selector);
+      index.remove(value);
+
+      entries.set(value, { order: order++, compounds: selectorCompounds });
+      selectorCompounds.forEach((compound) => {
+        compounds.add(compound);
+        values.set(compound, value);
+        [...exclusiveParts, 'keys', 'negatedKeys'].forEach((part) =>
+          bucketKeys(compound, part).forEach((key) => {
+            if (!buckets[part].has(key)) {
+              buckets[part].set(key, new Set());
             }
-          } else if (
-            siblingGroupIndex !== 0 ||
-            !siblingGroup.states[0] ||
-            !siblingGroup.states[0].pseudoClasses[0] ||
-            siblingGroup.states[0].pseudoClasses[0].name !== 'scope'
-          ) {
-            accumulatorSiblingGroups.push(siblingGroup);
-          }
-          return accumulatorSiblingGroups;
-        }, []);
+            buckets[part].get(key).add(compound);
+          })
+        );
+      });
+    },
 
-      switchIndexes = booleanCombinations(switchIndexes.length).map(
-        (booleanCombination) => {
-          if (typeof switchIndexes[0] === 'undefined') {
-            return false;
-          }
-          let innerResult = Array.from(result);
-          booleanCombination.forEach(
-            (booleanCombinationSwitch, booleanCombinationSwitchIndex) => {
-              if (booleanCombinationSwitch) {
-                innerResult = switchIndexesInArray(innerResult, [
-                  switchIndexes[booleanCombinationSwitchIndex],
-                  switchIndexes[booleanCombinationSwitchIndex] + 1
-                ]);
-              }
+    remove(value) {
+      if (!entries.has(value)) {
+        return false;
+      }
+
+      entries.get(value).compounds.forEach((compound) => {
+        compounds.delete(compound);
+        values.delete(compound);
+        [...exclusiveParts, 'keys', 'negatedKeys'].forEach((part) =>
+          bucketKeys(compound, part).forEach((key) => {
+            const bucket = buckets[part].get(key);
+            bucket.delete(compound);
+            if (bucket.size === 0) {
+              buckets[part].delete(key);
             }
-          );
-          return innerResult;
-        }
-      );
+          })
+        );
+      });
+      entries.delete(value);
+      return true;
+    },
 
-      return (switchIndexes.includes(false) ? [result] : switchIndexes)
-        .map((result) =>
-          result
-            .map(
-              (siblingGroup) =>
-                `${siblingGroup.states.map(stringifyState).join(' ~ ')}${
-                  siblingGroup.combinator !== ''
-                    ? `${siblingGroup.combinator === '>' ? ' > ' : ' '}`
-                    : ''
-                }`
-            )
-            .join('')
+    query(selector) {
+      return findIntersecting(indexSelector(context, selector));
+    },
+
+    pairs() {
+      const pairs = [];
+      entries.forEach((entry, value) =>
+        findIntersecting(entry.compounds, entry.order).forEach((otherValue) =>
+          pairs.push([otherValue, value])
         )
-        .join(', ');
+      );
+      return pairs;
+    },
+
+    get size() {
+      return entries.size;
     }
+  };
+
+  return index;
+}
+
+/**
+ * Reads the options given to `configure`
+ *
+ * @param {{
+ *   namespaces?: Object<string, string> | null;
+ *   documentLanguage?: 'html' | 'xml' | 'html-quirks';
+ * }} [options]
+ *   The options
+ * @returns {Context} The options to read and write selectors with
+ * @throws {Error} When the document language isn't known
+ */
+function createContext({ namespaces, documentLanguage = 'xml' } = {}) {
+  if (!['html', 'xml', 'html-quirks'].includes(documentLanguage)) {
+    throw new Error(`Unknown document language ${documentLanguage}`);
   }
+
+  const declarations = Object.entries(namespaces || {});
+  return {
+    namespaces: new Map(declarations),
+    documentLanguage,
+    cacheKey: JSON.stringify([declarations, documentLanguage])
+  };
+}
+
+/**
+ * Creates the functions of this module for the given options, which are
+ * applied to every selector they read and write. `namespaces` declares the
+ * namespace prefixes that selectors use, like `@namespace` rules do, as the URI
+ * of each prefix with the default namespace under the empty prefix.
+ * Namespaces are compared by their URI, so prefixes for the same URI are
+ * interchangeable, and results use the first prefix declared for each one.
+ * `documentLanguage` is the language of the documents the selectors are for,
+ * which decides what is compared case-insensitively. In `'html'`, type
+ * selectors and attribute names are, outside of other namespaces, and so are
+ * the values of attributes such as `type` and `lang`. `'html-quirks'` also
+ * makes classes and ids case-insensitive, while `'xml'`, the default, compares
+ * everything as it is written
+ *
+ * @param {{
+ *   namespaces?: Object<string, string> | null;
+ *   documentLanguage?: 'html' | 'xml' | 'html-quirks';
+ * }} [options]
+ *   The options
+ * @returns {typeof intersectSelectors & {
+ *   isSubset: typeof isSubset;
+ *   doSelectorsIntersect: typeof doSelectorsIntersect;
+ *   intersectSelectorsToAST: typeof intersectSelectorsToAST;
+ *   stringify: typeof stringify;
+ *   unionSelectors: typeof unionSelectors;
+ *   subtractSelectors: typeof subtractSelectors;
+ *   explainIntersection: typeof explainIntersection;
+ *   generateWitness: typeof generateWitness;
+ *   createSelectorIndex: typeof createSelectorIndex;
+ * }}
+ *   The functions, without their first parameter
+ * @throws {Error} When the document language isn't known
+ */
+function configure(options) {
+  const context = createContext(options);
+
+  const configured = (...selectors) =>
+    intersectSelectors(context, ...selectors);
+  configured.isSubset = (selector1, selector2) =>
+    isSubset(context, selector1, selector2);
+  configured.doSelectorsIntersect = (selector1, selector2) =>
+    doSelectorsIntersect(context, selector1, selector2);
+  configured.intersectSelectorsToAST = (...selectors) =>
+    intersectSelectorsToAST(context, ...selectors);
+  configured.stringify = (ast) => stringify(context, ast);
+  configured.unionSelectors = (...selectors) =>
+    unionSelectors(context, ...selectors);
+  configured.subtractSelectors = (selector1, selector2) =>
+    subtractSelectors(context, selector1, selector2);
+  configured.explainIntersection = (...selectors) =>
+    explainIntersection(context, ...selectors);
+  configured.generateWitness = (...selectors) =>
+    generateWitness(context, ...selectors);
+  configured.createSelectorIndex = () => createSelectorIndex(context);
+  return configured;
 }
 
-module.exports = intersectSelectors;
+module.exports = configure();
+module.exports.setCache = setCache;
+module.exports.configure = configure;
@@ -0,0 +1,26 @@
+import type { PluginCreator } from 'postcss';
+
+/** The options of the PostCSS plugin */
+export interface PluginOptions {
+  /**
+   * Selectors of rules to leave out of the check. Strings match the whole
+   * selector or any of its comma-separated parts, while regular expressions are
+   * tested against the whole selector.
+   */
+  ignore?: (string | RegExp)[];
+  /** Only compare rules in the same `@layer`, in the same file or both. */
+  scope?: 'layer' | 'file' | ('layer' | 'file')[];
+  /**
+   * Whether to emit a PostCSS warning for each overlap, along with the
+   * `overlap` message. Default is `true`.
+   */
+  warn?: boolean;
+}
+
+/**
+ * Reports rules whose selectors can match the same element and that set the
+ * same properties to different values.
+ */
+declare const plugin: PluginCreator<PluginOptions>;
+
+export = plugin;
@@ -0,0 +1,260 @@
+const intersectSelectors = require('./index');
+
+/**
+ * @typedef {Object} PluginOptions
+ * @property {(string | RegExp)[]} [ignore=[]] Selectors of rules to leave out
+ *   of the check. Strings match the whole selector or any of its
+ *   comma-separated parts, while regular expressions are tested against the
+ *   whole selector. Default is `[]`
+ * @property {'layer' | 'file' | ('layer' | 'file')[]} [scope=[]] Only compare
+ *   rules in the same `@layer`, in the same file or both. Default is `[]`
+ * @property {boolean} [warn=true] Whether to emit a PostCSS warning for each
+ *   overlap, along with the `overlap` message. Default is `true`
+ */
+
+/**
+ * @typedef {Object} Overlap
+ * @property {'overlap'} type The type of the message
+ * @property {'intersect-selectors'} plugin The name of the plugin
+ * @property {import('postcss').Rule} node The rule that comes later
+ * @property {import('postcss').Rule} otherNode The rule that comes first
+ * @property {string} intersection The selector both rules match
+ * @property {{ prop: string; values: [string, string] }[]} properties The
+ *   properties both rules set to different values, first rule's value first
+ */
+
+/**
+ * Checks if a rule is ignored
+ *
+ * @param {import('postcss').Rule} rule The rule to check
+ * @param {(string | RegExp)[]} ignore The selectors to ignore
+ * @returns {boolean} Whether the rule is ignored or not
+ */
+function isIgnored(rule, ignore) {
+  return !!ignore.find((ignored) =>
+    ignored instanceof RegExp
+      ? ignored.test(rule.selector)
+      : rule.selector === ignored ||
+        rule.selectors.map((selector) => selector.trim()).includes(ignored)
+  );
+}
+
+/**
+ * Finds the name of the `@layer` a rule is in, with the names of the layers it
+ * is nested in. Every anonymous layer is a layer of its own, so it gets a name
+ * no named layer can have
+ *
+ * @param {import('postcss').Rule} rule The rule
+ * @param {Map<import('postcss').AtRule, string>} anonymousLayers The names
+ *   given to the anonymous layers so far
+ * @returns {string} The full name of the layer, empty if it isn't in one
+ */
+function layerName(rule, anonymousLayers) {
+  const names = [];
+  for (let parent = rule.parent; parent; parent = parent.parent) {
+    if (parent.type === 'atrule' && parent.name.toLowerCase() === 'layer') {
+      let name = parent.params.trim();
+      if (name === '') {
+        if (!anonymousLayers.has(parent)) {
+          anonymousLayers.set(parent, `<anonymous ${anonymousLayers.size}>`);
+        }
+        name = anonymousLayers.get(parent);
+      }
+      names.unshift(name);
+    }
+  }
+  return names.join('.');
+}
+
+/**
+ * Finds the file a rule comes from
+ *
+ * @param {import('postcss').Rule} rule The rule
+ * @returns {string} The file of the rule, empty if it isn't known
+ */
+function fileName(rule) {
+  return (
+    (rule.source &&
+      rule.source.input &&
+      (rule.source.input.file || rule.source.input.id)) ||
+    ''
+  );
+}
+
+/**
+ * Reads the `@namespace` rules of a stylesheet, where the last declaration of
+ * a prefix wins
+ *
+ * @param {import('postcss').Root} root The stylesheet
+ * @returns {Object<string, string>} The URI of each prefix, with the default
+ *   namespace under the empty prefix
+ */
+function namespaceDeclarations(root) {
+  const namespaces = {};
+  root.each((node) => {
+    if (node.type !== 'atrule' || node.name.toLowerCase() !== 'namespace') {
+      return;
+    }
+
+    const match = node.params
+      .trim()
+      .match(
+        /^(?:([^\s'"]+)\s+)?(?:url\(\s*(['"]?)(.*?)\2\s*\)|(['"])(.*)\4)$/i
+      );
+    if (match) {
+      namespaces[match[1] || ''] = match[3] !== undefined ? match[3] : match[5];
+    }
+  });
+  return namespaces;
+}
+
+/**
+ * Checks if the selector of a rule selects elements, leaving out rules nested
+ * in other rules and the keyframes of `@keyframes`
+ *
+ * @param {import('postcss').Rule} rule The rule
+ * @returns {boolean} Whether the rule selects elements or not
+ */
+function selectsElements(rule) {
+  for (let parent = rule.parent; parent; parent = parent.parent) {
+    if (
+      parent.type === 'rule' ||
+      (parent.type === 'atrule' && /keyframes$/i.test(parent.name))
+    ) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Finds the properties a rule sets, where later declarations win
+ *
+ * @param {import('postcss').Rule} rule The rule
+ * @returns {Map<string, string>} The value of each property
+ */
+function ruleProperties(rule) {
+  const properties = new Map();
+  rule.each((node) => {
+    if (node.type === 'decl') {
+      const prop = node.prop.startsWith('--')
+        ? node.prop
+        : node.prop.toLowerCase();
+      properties.set(
+        prop,
+        `${node.value.trim()}${node.important ? ' !important' : ''}`
+      );
+    }
+  });
+  return properties;
+}
+
+/**
+ * Reports rules whose selectors can match the same element and that set the
+ * same properties to different values
+ *
+ * @param {PluginOptions} [options={}] The options of the plugin. Default is
+ *   `{}`
+ * @returns {import('postcss').Plugin} The PostCSS plugin
+ */
+function plugin(options = {}) {
+  const ignore = options.ignore || [];
+  const scope = [].concat(options.scope || []);
+  const warn = options.warn !== false;
+
+  return {
+    postcssPlugin: 'intersect-selectors',
+    OnceExit(root, { result }) {
+      const selectors = intersectSelectors.configure({
+        namespaces: namespaceDeclarations(root)
+      });
+      const rules = [];
+      const anonymousLayers = new Map();
+      root.walkRules((rule) => {
+        if (!selectsElements(rule) || isIgnored(rule, ignore)) {
+          return;
+        }
+
+        const properties = ruleProperties(rule);
+        if (properties.size === 0) {
+          return;
+        }
+
+        rules.push({
+          rule,
+          properties,
+          layer: scope.includes('layer')
+            ? layerName(rule, anonymousLayers)
+            : '',
+          file: scope.includes('file') ? fileName(rule) : ''
+        });
+      });
+
+      rules.forEach((rule2, ruleIndex) => {
+        rules.slice(0, ruleIndex).forEach((rule1) => {
+          if (rule1.layer !== rule2.layer || rule1.file !== rule2.file) {
+            return;
+          }
+
+          const properties = [];
+          rule1.properties.forEach((value1, prop) => {
+            const value2 = rule2.properties.get(prop);
+            if (value2 !== undefined && value1 !== value2) {
+              properties.push({ prop, values: [value1, value2] });
+            }
+          });
+          if (properties.length === 0) {
+            return;
+          }
+
+          let intersection;
+          try {
+            if (
+              !selectors.doSelectorsIntersect(
+                rule1.rule.selector,
+                rule2.rule.selector
+              )
+            ) {
+              return;
+            }
+            intersection = selectors(rule1.rule.selector, rule2.rule.selector);
+          } catch (error) {
+            // Selectors that can't be parsed, e.g. ones with preprocessor syntax
+            return;
+          }
+          if (intersection === '') {
+            return;
+          }
+
+          result.messages.push({
+            type: 'overlap',
+            plugin: 'intersect-selectors',
+            node: rule2.rule,
+            otherNode: rule1.rule,
+            intersection,
+            properties
+          });
+
+          if (warn) {
+            const location =
+              rule1.rule.source && rule1.rule.source.start
+                ? ` (line ${rule1.rule.source.start.line})`
+                : '';
+            rule2.rule.warn(
+              result,
+              `"${rule2.rule.selector}" overlaps with "${
+                rule1.rule.selector
+              }"${location} on "${intersection}" and sets ${properties
+                .map((property) => property.prop)
+                .join(', ')} differently`
+            );
+          }
+        });
+      });
+    }
+  };
+}
+
+plugin.postcss = true;
+
+module.exports = plugin;